@@ -0,0 +1,89 @@
+/**
+ * Find (and optionally delete) orphaned assets
+ *
+ * Lists the upload folders in storage and reports every object that game-data.json,
+ * trashed games and site-settings.json (live, draft and previous) no longer reference.
+ * - Reports each orphan's size and age
+ * - With --delete, removes orphans older than the grace period
+ *
+ * Usage: node find-orphaned-assets.js [--delete] [--dry-run] [--grace-days=7] [--prefix=public/gif,public/thumbnail] [--json]
+ */
+
+import { scanOrphanedAssets, deleteOrphanedAssets } from './utils/orphanedAssets.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const getOption = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+async function findOrphanedAssets() {
+  const shouldDelete = hasFlag('delete');
+  const dryRun = hasFlag('dry-run');
+  const graceDays = getOption('grace-days');
+  const prefix = getOption('prefix');
+  const json = hasFlag('json');
+
+  // Keep stdout for the JSON report: storage and AWS status messages go to stderr instead
+  if (json) {
+    console.log = console.error;
+  }
+
+  const options = {
+    prefixes: prefix ? prefix.split(',') : undefined,
+    ...(graceDays !== undefined && { graceDays: parseInt(graceDays) })
+  };
+
+  if (options.graceDays !== undefined && (Number.isNaN(options.graceDays) || options.graceDays < 0)) {
+    console.error('❌ --grace-days must be a whole number of days (0 or more)');
+    process.exit(1);
+  }
+
+  try {
+    const result = shouldDelete
+      ? await deleteOrphanedAssets({ ...options, dryRun })
+      : await scanOrphanedAssets(options);
+
+    if (json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      return;
+    }
+
+    console.log(`🔍 Scanned ${result.summary.scanned} files in ${result.prefixes.join(', ')}\n`);
+
+    result.orphans.forEach(orphan => {
+      const marker = orphan.deletable ? '🗑️ ' : '⏳';
+      console.log(`   ${marker} ${orphan.key} - ${formatSize(orphan.size)}, ${orphan.ageDays} days old`);
+    });
+
+    console.log(`\n📊 Orphaned: ${result.summary.orphaned} files (${formatSize(result.summary.orphanedSize)})`);
+    console.log(`📊 Older than ${result.graceDays} days: ${result.summary.deletable} files (${formatSize(result.summary.deletableSize)})`);
+
+    if (!shouldDelete) {
+      console.log('\n💡 Run with --delete to remove them (add --dry-run to preview)');
+    } else if (dryRun) {
+      console.log(`\n🧪 Dry run: ${result.deleted.length} files would be deleted`);
+    } else {
+      console.log(`\n✅ Deleted ${result.deleted.length} files`);
+      if (result.failed.length > 0) {
+        console.log(`⚠️ ${result.failed.length} files could not be deleted`);
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Orphaned asset scan failed:', error.message);
+    process.exit(1);
+  }
+}
+
+findOrphanedAssets();
@@ -1,12 +1,14 @@
 /**
  * Fix Site Settings JSON - Corrects malformed social links structure
- * 
- * This script fixes the facebook and youtube entries that have nested url objects
- * 
- * Usage: node fix-site-settings-json.js
+ *
+ * Flattening social links with nested url objects is now step 1 of the site-settings.json
+ * schema migrations (utils/migrations/siteSettings.js). This script runs those migrations
+ * and is kept for existing instructions; prefer migrate-schema.js.
+ *
+ * Usage: node fix-site-settings-json.js [--dry-run]
  */
 
-import { getSiteSettingsFromS3, updateSiteSettingsInS3 } from './utils/s3Manager.js';
+import { runSchemaMigrations } from './utils/migrations/runner.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,48 +17,21 @@ async function fixSiteSettings() {
   console.log('🔧 Fixing site-settings.json...\n');
 
   try {
-    // Get current settings
-    console.log('📥 Fetching current site-settings.json from S3...');
-    const settings = await getSiteSettingsFromS3();
+    const [result] = await runSchemaMigrations({
+      documents: ['site-settings'],
+      dryRun: process.argv.includes('--dry-run'),
+      author: 'fix-site-settings-json'
+    });
 
-    // Fix socialLinks
-    if (settings.socialLinks) {
-      console.log('🔍 Checking social links...');
-      
-      Object.keys(settings.socialLinks).forEach(platform => {
-        const link = settings.socialLinks[platform];
-        
-        // Fix nested url objects
-        if (typeof link === 'object' && link.url && typeof link.url === 'object') {
-          console.log(`   ⚠️  Found malformed ${platform}:`, JSON.stringify(link, null, 2));
-          
-          // Extract the correct values
-          const correctUrl = link.url.url || '';
-          const correctIcon = link.url.icon || link.icon || '';
-          const correctActive = link.url.active !== undefined ? link.url.active : link.active;
-          const correctLabel = link.url.label || link.label || platform.charAt(0).toUpperCase() + platform.slice(1);
-          
-          settings.socialLinks[platform] = {
-            url: correctUrl,
-            icon: correctIcon,
-            active: correctActive,
-            label: correctLabel
-          };
-          
-          console.log(`   ✅ Fixed ${platform}:`, JSON.stringify(settings.socialLinks[platform], null, 2));
-        }
-      });
+    if (result.status === 'missing') {
+      console.log('⚠️ No site-settings.json found to fix');
+      return;
     }
 
-    // Update in S3
-    console.log('\n📤 Uploading fixed site-settings.json to S3...');
-    await updateSiteSettingsInS3(settings);
-
-    console.log('\n✅ Successfully fixed site-settings.json!');
-    console.log('\n📋 Updated social links:');
-    Object.entries(settings.socialLinks).forEach(([platform, data]) => {
-      console.log(`   ${platform}:`, JSON.stringify(data, null, 2));
+    result.diff?.changes.forEach(change => {
+      console.log(`   ${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
     });
+    console.log(`\n✅ site-settings.json is ${result.status} (schema v${result.fromVersion} -> v${result.toVersion})`);
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
@@ -64,4 +39,3 @@ async function fixSiteSettings() {
 }
 
 fixSiteSettings();
-
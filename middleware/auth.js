@@ -29,3 +29,31 @@ export const requireRoot = (req, res, next) => {
   
   next();
 };
+
+// Check if user has one of the given roles
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.session || !req.session.user) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Not authenticated.' 
+    });
+  }
+  
+  if (!roles.includes(req.session.user.role)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: `This action requires one of these roles: ${roles.join(', ')}.` 
+    });
+  }
+  
+  req.user = req.session.user;
+  next();
+};
+
+// Require login only when unpublished (draft, scheduled or expired) content is asked for
+export const authenticateForUnpublished = (req, res, next) => {
+  if (req.query.includeUnpublished !== 'true') {
+    return next();
+  }
+  authenticateSession(req, res, next);
+};
@@ -20,6 +20,14 @@ export const errorHandler = (err, req, res, next) => {
   res.status(err.status || 500).json({
     success: false,
     message: err.message || 'Internal server error',
+    ...(err.errors && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
+
+// Create an error carrying an HTTP status for errorHandler to respond with
+export const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
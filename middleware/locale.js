@@ -0,0 +1,10 @@
+import { resolveRequestLocale } from '../utils/gameLocales.js';
+
+// Resolve the response locale (?locale=, then Accept-Language) into req.locale
+// and tell caches that localized responses vary by language
+export const negotiateLocale = (req, res, next) => {
+  req.locale = resolveRequestLocale(req);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
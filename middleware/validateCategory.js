@@ -0,0 +1,73 @@
+import { body, checkSchema } from 'express-validator';
+import { handleValidationErrors, SLUG_PATTERN } from './validateGame.js';
+
+// Bookkeeping fields owned by the server
+const SYSTEM_CATEGORY_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Build the category schema for express-validator
+ * @param {Object} options - { partial } makes every field optional (updates)
+ * @returns {Object} checkSchema() schema
+ */
+const categorySchema = ({ partial = false } = {}) => ({
+  id: {
+    optional: true,
+    isString: { errorMessage: 'id must be a string', bail: true },
+    matches: { options: SLUG_PATTERN, errorMessage: 'id may only contain lowercase letters, digits and single dashes' }
+  },
+  name: {
+    ...(partial ? { optional: true } : { exists: { errorMessage: 'name is required', bail: true } }),
+    isString: { errorMessage: 'name must be a string', bail: true },
+    trim: true,
+    notEmpty: { errorMessage: 'name cannot be empty' },
+    isLength: { options: { max: 100 }, errorMessage: 'name must be at most 100 characters' }
+  },
+  slug: {
+    optional: { options: { values: partial ? 'undefined' : 'falsy' } },
+    isString: { errorMessage: 'slug must be a string', bail: true },
+    matches: { options: SLUG_PATTERN, errorMessage: 'slug may only contain lowercase letters, digits and single dashes' }
+  },
+  icon: {
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'icon must be a string (URL or emoji)', bail: true },
+    isLength: { options: { max: 500 }, errorMessage: 'icon must be at most 500 characters' }
+  },
+  order: {
+    optional: true,
+    isInt: { errorMessage: 'order must be an integer' },
+    toInt: true
+  },
+  isActive: {
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: 'isActive must be true or false' },
+    toBoolean: true
+  }
+});
+
+// POST /api/categories
+export const validateCategoryCreate = [
+  checkSchema(categorySchema(), ['body']),
+  handleValidationErrors
+];
+
+// PATCH /api/categories/:categoryId (only the fields sent change; icon: null clears it)
+export const validateCategoryUpdate = [
+  body().custom(patch => patch !== null && typeof patch === 'object' && !Array.isArray(patch) && Object.keys(patch).length > 0)
+    .withMessage('Request body must be a non-empty JSON object'),
+  ...SYSTEM_CATEGORY_FIELDS.map(field =>
+    body(field).not().exists()
+      .withMessage(`${field} is managed by the server and cannot be changed`)
+  ),
+  body(['name', 'slug']).custom(value => value !== null)
+    .withMessage((value, { path }) => `${path} cannot be removed`),
+  checkSchema(categorySchema({ partial: true }), ['body']),
+  handleValidationErrors
+];
+
+// POST /api/categories/:categoryId/merge
+export const validateCategoryMerge = [
+  body('into').isString().withMessage('into must be the id of the category to merge into')
+    .bail()
+    .notEmpty().withMessage('into must be the id of the category to merge into'),
+  handleValidationErrors
+];
@@ -0,0 +1,79 @@
+import { body, checkSchema } from 'express-validator';
+import { handleValidationErrors, SLUG_PATTERN, urlField, scheduleField } from './validateGame.js';
+import { MAX_COLLECTION_GAMES } from '../utils/collections.js';
+
+// Bookkeeping fields owned by the server
+const SYSTEM_COLLECTION_FIELDS = ['id', 'createdAt', 'updatedAt', 'updatedBy'];
+
+/**
+ * Build the collection schema for express-validator
+ * @param {Object} options - { partial } makes every field optional (updates)
+ * @returns {Object} checkSchema() schema
+ */
+const collectionSchema = ({ partial = false } = {}) => ({
+  id: {
+    optional: true,
+    isString: { errorMessage: 'id must be a string', bail: true },
+    matches: { options: SLUG_PATTERN, errorMessage: 'id may only contain lowercase letters, digits and single dashes' }
+  },
+  title: {
+    ...(partial ? { optional: true } : { exists: { errorMessage: 'title is required', bail: true } }),
+    isString: { errorMessage: 'title must be a string', bail: true },
+    trim: true,
+    notEmpty: { errorMessage: 'title cannot be empty' },
+    isLength: { options: { max: 200 }, errorMessage: 'title must be at most 200 characters' }
+  },
+  slug: {
+    optional: { options: { values: partial ? 'undefined' : 'falsy' } },
+    isString: { errorMessage: 'slug must be a string', bail: true },
+    matches: { options: SLUG_PATTERN, errorMessage: 'slug may only contain lowercase letters, digits and single dashes' }
+  },
+  description: {
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'description must be a string', bail: true },
+    isLength: { options: { max: 2000 }, errorMessage: 'description must be at most 2000 characters' }
+  },
+  cover_url: urlField('cover_url'),
+  gameIds: {
+    ...(partial ? { optional: true } : { optional: { options: { values: 'undefined' } } }),
+    isArray: {
+      options: { max: MAX_COLLECTION_GAMES },
+      errorMessage: `gameIds must be an array of at most ${MAX_COLLECTION_GAMES} game ids`
+    }
+  },
+  'gameIds.*': {
+    isString: { errorMessage: 'gameIds must contain game ids', bail: true },
+    notEmpty: { errorMessage: 'gameIds cannot contain empty ids' }
+  },
+  order: {
+    optional: true,
+    isInt: { errorMessage: 'order must be an integer' },
+    toInt: true
+  },
+  publishAt: scheduleField('publishAt'),
+  unpublishAt: scheduleField('unpublishAt'),
+  isDraft: {
+    optional: { options: { values: 'null' } },
+    isBoolean: { options: { strict: true }, errorMessage: 'isDraft must be true or false' }
+  }
+});
+
+// POST /api/collections
+export const validateCollectionCreate = [
+  checkSchema(collectionSchema(), ['body']),
+  handleValidationErrors
+];
+
+// PATCH /api/collections/:collectionId (only the fields sent change; gameIds replaces the whole list)
+export const validateCollectionUpdate = [
+  body().custom(patch => patch !== null && typeof patch === 'object' && !Array.isArray(patch) && Object.keys(patch).length > 0)
+    .withMessage('Request body must be a non-empty JSON object'),
+  ...SYSTEM_COLLECTION_FIELDS.map(field =>
+    body(field).not().exists()
+      .withMessage(`${field} is managed by the server and cannot be changed`)
+  ),
+  body(['title', 'slug', 'gameIds']).custom(value => value !== null)
+    .withMessage((value, { path }) => `${path} cannot be removed`),
+  checkSchema(collectionSchema({ partial: true }), ['body']),
+  handleValidationErrors
+];
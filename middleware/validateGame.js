@@ -0,0 +1,428 @@
+import { body, query, checkSchema, validationResult } from 'express-validator';
+import { createHttpError } from './errorHandler.js';
+import { GAME_SORTS, MAX_PAGE_SIZE } from '../utils/gameQuery.js';
+import { MAX_TAGS_PER_GAME, MAX_TAG_LENGTH } from '../utils/gameTags.js';
+import { GAME_STATUSES } from '../utils/gameSchedule.js';
+import { MAX_RELATED_LIMIT } from '../utils/relatedGames.js';
+import { LOCALE_PATTERN } from '../utils/gameLocales.js';
+
+// Tile sizes the site's game grid knows how to render
+export const GAME_SIZES = ['small', 'medium', 'large'];
+
+// Ranking and bookkeeping fields owned by the server; edits must not overwrite them
+export const SYSTEM_GAME_FIELDS = [
+  'id',
+  'playCount',
+  'rank',
+  'isActive',
+  'manualRank',
+  'lastPlayed',
+  'createdAt',
+  'updatedAt',
+  'updatedBy',
+  'previousSlugs',
+  'status'
+];
+
+// Ids end up in URL paths, so no whitespace or path/query characters
+const ID_PATTERN = /^[^\s/?#]+$/;
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Absolute http(s) URLs, or paths relative to the site/bucket (e.g. "games/my-game/")
+const isGameUrl = (value) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+  return !/\s/.test(value);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const urlField = (field) => ({
+  optional: { options: { values: 'falsy' } },
+  isString: { errorMessage: `${field} must be a string`, bail: true },
+  custom: {
+    options: isGameUrl,
+    errorMessage: `${field} must be an http(s) URL or a relative path`
+  }
+});
+
+export const scheduleField = (field) => ({
+  optional: { options: { values: 'null' } },
+  isISO8601: { errorMessage: `${field} must be an ISO 8601 date`, bail: true },
+  customSanitizer: { options: (value) => new Date(value).toISOString() }
+});
+
+/**
+ * Build the game schema for express-validator
+ * @param {string} prefix - Path to the game in the request body ('' for the body itself, 'games.*.' for arrays)
+ * @param {Object} options - { requireId, partial } partial makes every field optional (updates)
+ * @returns {Object} checkSchema() schema
+ */
+const gameSchema = (prefix, { requireId = false, partial = false } = {}) => {
+  const required = (field) => partial
+    ? { optional: true }
+    : { exists: { errorMessage: `${field} is required`, bail: true } };
+
+  return {
+    [`${prefix}id`]: {
+      ...(requireId ? required('id') : { optional: true }),
+      isString: { errorMessage: 'id must be a string', bail: true },
+      matches: { options: ID_PATTERN, errorMessage: 'id must not be empty or contain spaces, "/", "?" or "#"' },
+      isLength: { options: { max: 100 }, errorMessage: 'id must be at most 100 characters' }
+    },
+    [`${prefix}name`]: {
+      ...required('name'),
+      isString: { errorMessage: 'name must be a string', bail: true },
+      trim: true,
+      notEmpty: { errorMessage: 'name cannot be empty' },
+      isLength: { options: { max: 200 }, errorMessage: 'name must be at most 200 characters' }
+    },
+    [`${prefix}slug`]: {
+      optional: { options: { values: 'falsy' } },
+      isString: { errorMessage: 'slug must be a string', bail: true },
+      matches: { options: SLUG_PATTERN, errorMessage: 'slug may only contain lowercase letters, digits and single dashes' },
+      isLength: { options: { max: 200 }, errorMessage: 'slug must be at most 200 characters' }
+    },
+    [`${prefix}description`]: {
+      optional: { options: { values: 'null' } },
+      isString: { errorMessage: 'description must be a string', bail: true },
+      isLength: { options: { max: 5000 }, errorMessage: 'description must be at most 5000 characters' }
+    },
+    [`${prefix}translations`]: {
+      optional: { options: { values: 'null' } },
+      custom: {
+        options: (value) => isPlainObject(value) &&
+          Object.entries(value).every(([locale, text]) => LOCALE_PATTERN.test(locale) && (text === null || isPlainObject(text))),
+        errorMessage: 'translations must map lowercase locales (e.g. "fr", "pt-br") to { name, description }'
+      }
+    },
+    [`${prefix}translations.*.name`]: {
+      optional: { options: { values: 'null' } },
+      isString: { errorMessage: 'translated name must be a string', bail: true },
+      trim: true,
+      isLength: { options: { max: 200 }, errorMessage: 'translated name must be at most 200 characters' }
+    },
+    [`${prefix}translations.*.description`]: {
+      optional: { options: { values: 'null' } },
+      isString: { errorMessage: 'translated description must be a string', bail: true },
+      isLength: { options: { max: 5000 }, errorMessage: 'translated description must be at most 5000 characters' }
+    },
+    [`${prefix}thumb_url`]: urlField('thumb_url'),
+    [`${prefix}logo_url`]: urlField('logo_url'),
+    [`${prefix}gif_url`]: urlField('gif_url'),
+    [`${prefix}play_url`]: urlField('play_url'),
+    [`${prefix}size`]: {
+      optional: { options: { values: 'falsy' } },
+      isIn: { options: [GAME_SIZES], errorMessage: `size must be one of: ${GAME_SIZES.join(', ')}` }
+    },
+    [`${prefix}category`]: {
+      ...required('category'),
+      isString: { errorMessage: 'category must be a string', bail: true },
+      trim: true,
+      notEmpty: { errorMessage: 'category cannot be empty' },
+      isLength: { options: { max: 100 }, errorMessage: 'category must be at most 100 characters' }
+    },
+    // Extra categories besides the primary one
+    [`${prefix}categories`]: {
+      optional: { options: { values: 'null' } },
+      isArray: { options: { max: 20 }, errorMessage: 'categories must be an array of at most 20 category ids' }
+    },
+    [`${prefix}categories.*`]: {
+      isString: { errorMessage: 'categories must contain category ids', bail: true },
+      notEmpty: { errorMessage: 'categories cannot contain empty ids' }
+    },
+    // Scheduling: the game is public between publishAt and unpublishAt (either may be empty)
+    [`${prefix}publishAt`]: scheduleField('publishAt'),
+    [`${prefix}unpublishAt`]: scheduleField('unpublishAt'),
+    [`${prefix}isDraft`]: {
+      optional: { options: { values: 'null' } },
+      isBoolean: { options: { strict: true }, errorMessage: 'isDraft must be true or false' }
+    },
+    [`${prefix}tags`]: {
+      optional: { options: { values: 'null' } },
+      isArray: {
+        options: { max: MAX_TAGS_PER_GAME },
+        errorMessage: `tags must be an array of at most ${MAX_TAGS_PER_GAME} tags`
+      }
+    },
+    [`${prefix}tags.*`]: {
+      isString: { errorMessage: 'tags must be strings', bail: true },
+      trim: true,
+      notEmpty: { errorMessage: 'tags cannot be empty' },
+      isLength: { options: { max: MAX_TAG_LENGTH }, errorMessage: `tags must be at most ${MAX_TAG_LENGTH} characters` },
+      custom: { options: (tag) => !tag.includes(','), errorMessage: 'tags cannot contain commas' }
+    }
+  };
+};
+
+// Respond with field-level errors if any validator failed
+export const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: result.array({ onlyFirstError: true }).map(error => ({
+      field: error.path,
+      message: error.msg
+    }))
+  });
+};
+
+/**
+ * Validate one game object outside a request (bulk import rows)
+ * @param {Object} game - Game fields (string fields are trimmed in place)
+ * @param {Object} options - { partial } only check the fields present (updates)
+ * @returns {Promise<Array>} Field-level errors ({ field, message }), empty when valid
+ */
+export const validateGameFields = async (game, { partial = false } = {}) => {
+  const req = { body: game };
+  await checkSchema(gameSchema('', { partial }), ['body']).run(req);
+
+  return validationResult(req).array({ onlyFirstError: true }).map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+};
+
+// POST /api/games
+export const validateGameCreate = [
+  checkSchema(gameSchema(''), ['body']),
+  handleValidationErrors
+];
+
+// PUT /api/games/:gameId (only the fields sent are checked)
+export const validateGameUpdate = [
+  checkSchema(gameSchema('', { partial: true }), ['body']),
+  handleValidationErrors
+];
+
+// PATCH /api/games/:gameId (JSON Merge Patch: null clears a field)
+export const validateGamePatch = [
+  body().custom(patch => patch !== null && typeof patch === 'object' && !Array.isArray(patch) && Object.keys(patch).length > 0)
+    .withMessage('Request body must be a non-empty JSON object (merge patch)'),
+  ...SYSTEM_GAME_FIELDS.map(field =>
+    body(field).not().exists()
+      .withMessage(`${field} is managed by the server and cannot be patched`)
+  ),
+  body(['name', 'slug', 'category']).custom(value => value !== null)
+    .withMessage((value, { path }) => `${path} cannot be removed`),
+  checkSchema(gameSchema('', { partial: true }), ['body']),
+  handleValidationErrors
+];
+
+// PUT /api/games/data/full-update
+export const validateGameDataFullUpdate = [
+  checkSchema({
+    games: {
+      isArray: { errorMessage: 'games must be an array' }
+    },
+    categories: {
+      optional: true,
+      isArray: { errorMessage: 'categories must be an array' }
+    },
+    'categories.*.id': {
+      exists: { errorMessage: 'id is required', bail: true },
+      isString: { errorMessage: 'id must be a string', bail: true },
+      matches: { options: SLUG_PATTERN, errorMessage: 'id may only contain lowercase letters, digits and single dashes' }
+    },
+    'categories.*.name': {
+      exists: { errorMessage: 'name is required', bail: true },
+      isString: { errorMessage: 'name must be a string', bail: true },
+      notEmpty: { errorMessage: 'name cannot be empty' }
+    },
+    collections: {
+      optional: true,
+      isArray: { errorMessage: 'collections must be an array' }
+    },
+    'collections.*.id': {
+      exists: { errorMessage: 'id is required', bail: true },
+      isString: { errorMessage: 'id must be a string', bail: true },
+      matches: { options: SLUG_PATTERN, errorMessage: 'id may only contain lowercase letters, digits and single dashes' }
+    },
+    'collections.*.title': {
+      exists: { errorMessage: 'title is required', bail: true },
+      isString: { errorMessage: 'title must be a string', bail: true },
+      notEmpty: { errorMessage: 'title cannot be empty' }
+    },
+    'collections.*.gameIds': {
+      isArray: { errorMessage: 'gameIds must be an array of game ids' }
+    },
+    ...gameSchema('games.*.', { requireId: true })
+  }, ['body']),
+  handleValidationErrors,
+  (req, res, next) => {
+    const errors = findDuplicateGames(req.body.games);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+    next();
+  }
+];
+
+// POST /api/ranking/initialize-game
+export const validateInitializeGame = [
+  checkSchema({
+    game: {
+      isObject: { errorMessage: 'game object is required' }
+    },
+    ...gameSchema('game.', { requireId: true })
+  }, ['body']),
+  handleValidationErrors
+];
+
+// GET /api/games (filters, sorting and pagination)
+export const validateGameListQuery = [
+  query('size').optional()
+    .custom(value => String(value).split(',').every(size => GAME_SIZES.includes(size.trim())))
+    .withMessage(`size must be one or more of: ${GAME_SIZES.join(', ')}`),
+  query('status').optional()
+    .custom(value => String(value).split(',').every(status => GAME_STATUSES.includes(status.trim())))
+    .withMessage(`status must be one or more of: ${GAME_STATUSES.join(', ')}`),
+  query('active').optional().isIn(['true', 'false']).withMessage('active must be true or false'),
+  query(['createdFrom', 'createdTo']).optional().isISO8601()
+    .withMessage((value, { path }) => `${path} must be an ISO 8601 date`),
+  query('tagMatch').optional().isIn(['any', 'all']).withMessage('tagMatch must be any or all'),
+  query('sort').optional().isIn(GAME_SORTS).withMessage(`sort must be one of: ${GAME_SORTS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('cursor').optional()
+    .custom((value, { req }) => req.query.page === undefined)
+    .withMessage('Use either cursor or page, not both'),
+  handleValidationErrors
+];
+
+// GET /api/games/:gameId/related
+export const validateRelatedGamesQuery = [
+  query('limit').optional().isInt({ min: 1, max: MAX_RELATED_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_RELATED_LIMIT}`),
+  handleValidationErrors
+];
+
+// POST /api/tags/bulk
+export const validateBulkTags = [
+  body('gameIds').isArray({ min: 1, max: 500 }).withMessage('gameIds must be an array of 1 to 500 game ids'),
+  body('gameIds.*').isString().withMessage('gameIds must contain game ids'),
+  body(['add', 'remove']).optional().isArray({ max: MAX_TAGS_PER_GAME })
+    .withMessage((value, { path }) => `${path} must be an array of at most ${MAX_TAGS_PER_GAME} tags`),
+  body(['add.*', 'remove.*']).isString().withMessage('tags must be strings')
+    .bail()
+    .trim()
+    .notEmpty().withMessage('tags cannot be empty')
+    .isLength({ max: MAX_TAG_LENGTH }).withMessage(`tags must be at most ${MAX_TAG_LENGTH} characters`)
+    .not().contains(',').withMessage('tags cannot contain commas'),
+  body().custom(value => (value?.add?.length || 0) + (value?.remove?.length || 0) > 0)
+    .withMessage('Provide tags to add and/or remove'),
+  handleValidationErrors
+];
+
+// Operations utils/gameBatch.js applies (kept here: gameBatch imports the trash, which imports this file)
+export const BATCH_OPERATIONS = ['setRank', 'pin', 'unpin', 'activate', 'deactivate', 'changeCategory', 'delete'];
+
+export const MAX_BATCH_OPERATIONS = 500;
+
+// POST /api/games/batch
+export const validateGameBatch = [
+  body('operations').isArray({ min: 1, max: MAX_BATCH_OPERATIONS })
+    .withMessage(`operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations`),
+  body('operations.*.op').isIn(BATCH_OPERATIONS)
+    .withMessage(`op must be one of: ${BATCH_OPERATIONS.join(', ')}`),
+  // Only the first failing check is reported per operation, so a missing gameId reads "required"
+  body('operations.*.gameId').notEmpty().withMessage('gameId is required')
+    .isString().withMessage('gameId must be a string'),
+  body('operations.*.rank').optional().isInt({ min: 1 }).withMessage('rank must be an integer >= 1').toInt(),
+  body('operations.*').custom(operation => operation?.op !== 'setRank' || operation.rank !== undefined)
+    .withMessage('setRank needs a rank'),
+  body('operations.*').custom(operation => operation?.op !== 'changeCategory' || (typeof operation.category === 'string' && operation.category !== ''))
+    .withMessage('changeCategory needs a category'),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be true or false'),
+  handleValidationErrors
+];
+
+/**
+ * Find repeated ids and slugs within a list of games
+ * @param {Array} games - Games to check
+ * @returns {Array} Field-level errors ({ field, message }), empty when all are unique
+ */
+export const findDuplicateGames = (games = []) => {
+  const errors = [];
+  const seen = { id: new Map(), slug: new Map() };
+
+  games.forEach((game, index) => {
+    ['id', 'slug'].forEach(field => {
+      const value = game?.[field];
+      if (!value) {
+        return;
+      }
+      if (seen[field].has(value)) {
+        errors.push({
+          field: `games[${index}].${field}`,
+          message: `Duplicate ${field} "${value}" (also used by games[${seen[field].get(value)}])`
+        });
+      } else {
+        seen[field].set(value, index);
+      }
+    });
+  });
+
+  // A current slug may not be another game's old slug (its redirect would be ambiguous)
+  games.forEach((game, index) => {
+    (game?.previousSlugs || []).forEach(slug => {
+      const owner = seen.slug.get(slug);
+      if (owner !== undefined && owner !== index) {
+        errors.push({
+          field: `games[${owner}].slug`,
+          message: `Slug "${slug}" is also a previous slug of games[${index}]`
+        });
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Throw a 409 if another game in the catalog already uses this game's id or slug
+ * (including slugs another game used before a rename)
+ * @param {Array} games - Current catalog games
+ * @param {Object} game - Game being created or updated
+ * @param {string} [ownId] - Id of the game being updated (it may keep its own slug)
+ */
+export const assertUniqueGame = (games, game, ownId) => {
+  const others = games.filter(g => g.id !== ownId);
+  const errors = [];
+
+  if (!ownId && others.some(g => g.id === game.id)) {
+    errors.push({ field: 'id', message: `A game with id "${game.id}" already exists` });
+  }
+  if (game.slug && others.some(g => g.slug === game.slug)) {
+    errors.push({ field: 'slug', message: `A game with slug "${game.slug}" already exists` });
+  } else if (game.slug) {
+    // Old slugs still redirect to their game, so they stay reserved
+    const formerOwner = others.find(g => g.previousSlugs?.includes(game.slug));
+    if (formerOwner) {
+      errors.push({ field: 'slug', message: `Slug "${game.slug}" was previously used by game "${formerOwner.id}" and still redirects there` });
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = createHttpError(409, errors.map(e => e.message).join('; '));
+    error.errors = errors;
+    throw error;
+  }
+};
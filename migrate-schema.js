@@ -0,0 +1,72 @@
+/**
+ * Migrate Stored Documents to the Current Schema
+ *
+ * Runs the ordered migration steps in utils/migrations on game-data.json and site-settings.json
+ * - Shows each document's stored and current schemaVersion
+ * - Backs up every document it changes to history/migrations/ first
+ * - --dry-run prints the changes without writing anything
+ *
+ * Usage: node migrate-schema.js [--dry-run] [--document=game-data|site-settings]
+ */
+
+import { runSchemaMigrations } from './utils/migrations/runner.js';
+import { SCHEMA_DOCUMENTS } from './utils/migrations/index.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const getOption = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function migrateSchema() {
+  const dryRun = process.argv.includes('--dry-run');
+  const document = getOption('document');
+
+  if (document && !SCHEMA_DOCUMENTS[document]) {
+    console.error(`❌ Unknown document "${document}"; use one of: ${Object.keys(SCHEMA_DOCUMENTS).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`🧬 ${dryRun ? 'Checking' : 'Migrating'} stored documents...\n`);
+
+  try {
+    const results = await runSchemaMigrations({
+      documents: document ? [document] : undefined,
+      dryRun,
+      author: 'migrate-schema'
+    });
+
+    results.forEach(result => {
+      if (result.status === 'missing') {
+        console.log(`⚪ ${result.document}: not found in storage`);
+        return;
+      }
+
+      console.log(`${result.status === 'up-to-date' ? '✅' : '🔄'} ${result.document}: v${result.fromVersion} -> v${result.toVersion} (${result.status})`);
+      result.applied.forEach(step => console.log(`   • v${step.version}: ${step.description}`));
+
+      if (result.status !== 'up-to-date') {
+        result.diff.changes.forEach(change => {
+          console.log(`     ${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+        });
+        if (result.diff.truncated) {
+          console.log('     ... (more changes not shown)');
+        }
+      }
+      if (result.backupKey) {
+        console.log(`   💾 Backup: ${result.backupKey}`);
+      }
+    });
+
+    if (dryRun) {
+      console.log('\n🧪 Dry run: nothing was written');
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateSchema();
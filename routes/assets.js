@@ -0,0 +1,82 @@
+/**
+ * Stored Asset Maintenance Routes (root only)
+ *
+ * Find uploads that game-data.json and site-settings.json no longer reference
+ * (replaced thumbnails, abandoned uploads, old builds) and delete them.
+ * The same scan is available from the command line: npm run orphaned-assets
+ */
+
+import express from 'express';
+import { requireRoot } from '../middleware/auth.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { scanOrphanedAssets, deleteOrphanedAssets } from '../utils/orphanedAssets.js';
+
+const router = express.Router();
+
+// "public/gif,public/thumbnail" or ["public/gif", ...] -> array (undefined scans the default folders)
+const parsePrefixes = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return (Array.isArray(value) ? value : String(value).split(',')).filter(Boolean);
+};
+
+const parseGraceDays = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw createHttpError(400, 'graceDays must be a whole number of days (0 or more)');
+  }
+  return days;
+};
+
+/**
+ * GET /api/assets/orphans
+ * Report unreferenced objects with their size and age
+ * Query params: prefix (comma-separated folders under public/), graceDays (default: ORPHAN_GRACE_DAYS)
+ */
+router.get('/orphans', requireRoot, async (req, res, next) => {
+  try {
+    const report = await scanOrphanedAssets({
+      prefixes: parsePrefixes(req.query.prefix),
+      graceDays: parseGraceDays(req.query.graceDays)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/assets/orphans/cleanup
+ * Delete unreferenced objects older than the grace period
+ * Body: { prefixes, graceDays, dryRun } dryRun: true reports what would be deleted
+ */
+router.post('/orphans/cleanup', requireRoot, async (req, res, next) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const result = await deleteOrphanedAssets({
+      prefixes: parsePrefixes(req.body?.prefixes ?? req.query.prefix),
+      graceDays: parseGraceDays(req.body?.graceDays ?? req.query.graceDays),
+      dryRun
+    });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.deleted.length} orphaned files would be deleted`
+        : `Deleted ${result.deleted.length} orphaned files`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
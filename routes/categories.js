@@ -0,0 +1,268 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import {
+  validateCategoryCreate,
+  validateCategoryUpdate,
+  validateCategoryMerge
+} from '../middleware/validateCategory.js';
+import { getGameDataFromS3, mutateGameData } from '../utils/s3Manager.js';
+import { applyMergePatch } from '../utils/mergePatch.js';
+import { toSlug } from '../utils/gameSlugs.js';
+import {
+  getCategories,
+  sortCategories,
+  findCategory,
+  countGamesByCategory,
+  buildCategory,
+  assertUniqueCategory,
+  reassignGames
+} from '../utils/categories.js';
+import { filterLiveGames } from '../utils/gameSchedule.js';
+
+const router = express.Router();
+
+const withGameCounts = (categories, games) => {
+  const counts = countGamesByCategory(games);
+  return categories.map(category => ({ ...category, gameCount: counts.get(category.id) || 0 }));
+};
+
+// Find a category inside a mutator or throw a 404
+const requireCategory = (categories, categoryId, message = 'Category not found') => {
+  const category = findCategory(categories, categoryId);
+  if (!category) {
+    throw createHttpError(404, message);
+  }
+  return category;
+};
+
+// Public counts only include live games; the admin listing counts every game in the category
+const sendCategories = (res, gameData, { includeInactive }) => {
+  const categories = sortCategories(getCategories(gameData))
+    .filter(category => includeInactive || category.isActive !== false);
+
+  res.json({
+    success: true,
+    data: withGameCounts(categories, includeInactive ? gameData.games : filterLiveGames(gameData.games))
+  });
+};
+
+// GET all categories with game counts - Public endpoint (active only)
+// ?includeInactive=true also returns inactive categories (requires login)
+router.get('/', async (req, res, next) => {
+  if (req.query.includeInactive === 'true') {
+    return authenticateSession(req, res, async () => {
+      try {
+        sendCategories(res, await getGameDataFromS3(), { includeInactive: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  try {
+    sendCategories(res, await getGameDataFromS3(), { includeInactive: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET single category by id or slug - Public endpoint
+router.get('/:categoryId', async (req, res, next) => {
+  try {
+    const gameData = await getGameDataFromS3();
+    const category = findCategory(getCategories(gameData), req.params.categoryId);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withGameCounts([category], filterLiveGames(gameData.games))[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST new category - Protected endpoint
+router.post('/', authenticateSession, validateCategoryCreate, async (req, res, next) => {
+  try {
+    const category = buildCategory(req.body);
+
+    await mutateGameData((gameData) => {
+      const categories = getCategories(gameData);
+      assertUniqueCategory(categories, category);
+      gameData.categories = [...categories, category];
+    }, { author: req.user.email, reason: `create category ${category.id}` });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST create categories for the free-text category values games still use - Protected endpoint
+// Games are switched to the matching category id; existing categories are matched by id, slug or name
+router.post('/sync', authenticateSession, async (req, res, next) => {
+  try {
+    let created = [];
+    let updatedGames = 0;
+
+    await mutateGameData((gameData) => {
+      const categories = [...getCategories(gameData)];
+      created = [];
+      updatedGames = 0;
+
+      gameData.games.forEach(game => {
+        if (!game.category || categories.some(c => c.id === game.category)) {
+          return;
+        }
+
+        const slug = toSlug(game.category);
+        if (!slug) {
+          return;
+        }
+
+        let category = categories.find(c =>
+          c.slug === slug || (c.name || '').toLowerCase() === String(game.category).toLowerCase()
+        );
+        if (!category) {
+          category = buildCategory({ name: String(game.category).trim(), slug });
+          categories.push(category);
+          created.push(category);
+        }
+
+        game.category = category.id;
+        updatedGames++;
+      });
+
+      gameData.categories = categories;
+    }, { author: req.user.email, reason: 'sync categories' });
+
+    res.json({
+      success: true,
+      message: `Created ${created.length} categories and updated ${updatedGames} games`,
+      data: {
+        created,
+        updatedGames
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH category (rename, reorder, activate/deactivate) - Protected endpoint
+// Games reference the category id, which never changes, so they follow a rename automatically
+router.patch('/:categoryId', authenticateSession, validateCategoryUpdate, async (req, res, next) => {
+  try {
+    let updatedCategory;
+
+    await mutateGameData((gameData) => {
+      const categories = getCategories(gameData);
+      const category = requireCategory(categories, req.params.categoryId);
+
+      updatedCategory = {
+        ...applyMergePatch(category, req.body),
+        updatedAt: new Date().toISOString()
+      };
+
+      assertUniqueCategory(categories, updatedCategory, category.id);
+      gameData.categories = categories.map(c => (c.id === category.id ? updatedCategory : c));
+    }, { author: req.user.email, reason: `update category ${req.params.categoryId}` });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: updatedCategory
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST merge a category into another - Protected endpoint
+// Its games move to the target category and the merged category is removed
+router.post('/:categoryId/merge', authenticateSession, validateCategoryMerge, async (req, res, next) => {
+  try {
+    let source;
+    let target;
+    let moved = 0;
+
+    await mutateGameData((gameData) => {
+      const categories = getCategories(gameData);
+      source = requireCategory(categories, req.params.categoryId);
+      target = requireCategory(categories, req.body.into, 'Target category not found');
+
+      if (source.id === target.id) {
+        throw createHttpError(400, 'A category cannot be merged into itself');
+      }
+
+      moved = reassignGames(gameData.games, source.id, target.id);
+      gameData.categories = categories.filter(c => c.id !== source.id);
+    }, { author: req.user.email, reason: `merge category ${req.params.categoryId} into ${req.body.into}` });
+
+    res.json({
+      success: true,
+      message: `Merged "${source.name}" into "${target.name}" (${moved} games moved)`,
+      data: {
+        merged: source.id,
+        into: target.id,
+        gamesMoved: moved
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE category - Protected endpoint
+// Blocked while games use it, unless ?reassignTo=<categoryId> (or body.reassignTo) says where they go
+router.delete('/:categoryId', authenticateSession, async (req, res, next) => {
+  try {
+    const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+    let deleted;
+    let moved = 0;
+
+    await mutateGameData((gameData) => {
+      const categories = getCategories(gameData);
+      deleted = requireCategory(categories, req.params.categoryId);
+      const inUse = countGamesByCategory(gameData.games).get(deleted.id) || 0;
+
+      if (inUse > 0) {
+        if (!reassignTo) {
+          throw createHttpError(409, `Category is used by ${inUse} games; pass reassignTo to move them to another category`);
+        }
+        const target = requireCategory(categories, reassignTo, 'Reassignment category not found');
+        if (target.id === deleted.id) {
+          throw createHttpError(400, 'Games cannot be reassigned to the category being deleted');
+        }
+        moved = reassignGames(gameData.games, deleted.id, target.id);
+      }
+
+      gameData.categories = categories.filter(c => c.id !== deleted.id);
+    }, { author: req.user.email, reason: `delete category ${req.params.categoryId}` });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {
+        ...deleted,
+        gamesReassigned: moved
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { authenticateSession, authenticateForUnpublished } from '../middleware/auth.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { validateCollectionCreate, validateCollectionUpdate } from '../middleware/validateCollection.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { getGameDataFromS3, mutateGameData } from '../utils/s3Manager.js';
+import { applyMergePatch } from '../utils/mergePatch.js';
+import { assertValidSchedule } from '../utils/gameSchedule.js';
+import { localizeGames } from '../utils/gameLocales.js';
+import {
+  getCollections,
+  sortCollections,
+  findCollection,
+  isCollectionLive,
+  buildCollection,
+  assertUniqueCollection,
+  assertCollectionGamesExist,
+  resolveCollection,
+  describeCollection
+} from '../utils/collections.js';
+
+const router = express.Router();
+
+// Find a collection inside a mutator or throw a 404
+const requireCollection = (collections, collectionId) => {
+  const collection = findCollection(collections, collectionId);
+  if (!collection) {
+    throw createHttpError(404, 'Collection not found');
+  }
+  return collection;
+};
+
+// Checks shared by create and update
+const assertValidCollection = (gameData, collection, previous) => {
+  assertUniqueCollection(getCollections(gameData), collection, previous?.id);
+  assertCollectionGamesExist(gameData.games, collection, previous?.gameIds);
+  assertValidSchedule(collection);
+};
+
+// Game names and descriptions in the request's locale
+const withLocalizedGames = (collection, locale) => ({ ...collection, games: localizeGames(collection.games, locale) });
+
+// GET all collections with their games - Public endpoint (live collections, live and active games)
+// ?includeUnpublished=true (requires login) returns every collection with its status, all listed games and missing ids
+router.get('/', authenticateForUnpublished, negotiateLocale, async (req, res, next) => {
+  try {
+    const gameData = await getGameDataFromS3();
+    const now = Date.now();
+    const collections = sortCollections(getCollections(gameData));
+    const resolved = req.query.includeUnpublished === 'true'
+      ? collections.map(collection => describeCollection(collection, gameData.games, now))
+      : collections
+        .filter(collection => isCollectionLive(collection, now))
+        .map(collection => resolveCollection(collection, gameData.games, now));
+
+    res.json({
+      success: true,
+      data: resolved.map(collection => withLocalizedGames(collection, req.locale))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET single collection by id or slug - Public endpoint
+// Logged-in editors also get unpublished collections, in the editor view
+router.get('/:collectionId', negotiateLocale, async (req, res, next) => {
+  try {
+    const gameData = await getGameDataFromS3();
+    const collection = findCollection(getCollections(gameData), req.params.collectionId);
+    const isEditor = Boolean(req.session?.user);
+
+    if (!collection || (!isEditor && !isCollectionLive(collection))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withLocalizedGames(
+        isEditor ? describeCollection(collection, gameData.games) : resolveCollection(collection, gameData.games),
+        req.locale
+      )
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST new collection - Protected endpoint
+router.post('/', authenticateSession, validateCollectionCreate, async (req, res, next) => {
+  try {
+    const collection = buildCollection(req.body, req.user.email);
+
+    await mutateGameData((gameData) => {
+      assertValidCollection(gameData, collection);
+      gameData.collections = [...getCollections(gameData), collection];
+    }, { author: req.user.email, reason: `create collection ${collection.id}` });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH collection (retitle, reorder games, reschedule) - Protected endpoint
+// gameIds replaces the whole list, in the order given; null clears optional fields
+router.patch('/:collectionId', authenticateSession, validateCollectionUpdate, async (req, res, next) => {
+  try {
+    let updatedCollection;
+
+    await mutateGameData((gameData) => {
+      const collections = getCollections(gameData);
+      const collection = requireCollection(collections, req.params.collectionId);
+      const patched = applyMergePatch(collection, req.body);
+
+      updatedCollection = {
+        ...patched,
+        gameIds: [...new Set(patched.gameIds)],
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.email
+      };
+
+      assertValidCollection(gameData, updatedCollection, collection);
+      gameData.collections = collections.map(c => (c.id === collection.id ? updatedCollection : c));
+    }, { author: req.user.email, reason: `update collection ${req.params.collectionId}` });
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: updatedCollection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE collection - Protected endpoint (its games are not affected)
+router.delete('/:collectionId', authenticateSession, async (req, res, next) => {
+  try {
+    let deleted;
+
+    await mutateGameData((gameData) => {
+      const collections = getCollections(gameData);
+      deleted = requireCollection(collections, req.params.collectionId);
+      gameData.collections = collections.filter(c => c.id !== deleted.id);
+    }, { author: req.user.email, reason: `delete collection ${req.params.collectionId}` });
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
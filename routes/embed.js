@@ -0,0 +1,131 @@
+/**
+ * Embed Routes (public)
+ *
+ * GET /oembed turns a game page URL into an oEmbed "rich" response whose iframe loads
+ * GET /embed/:gameId, a page that frames the game's play_url with attribution. Only live,
+ * active games can be embedded, and only by sites on embed.allowedDomains in site settings.
+ */
+
+import express from 'express';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { getGameDataFromS3, getSiteSettingsFromS3 } from '../utils/s3Manager.js';
+import { getSeoConfig, getIndexableGames, absoluteAssetUrl } from '../utils/seo.js';
+import { findGameBySlug } from '../utils/gameSlugs.js';
+import { localizeGame } from '../utils/gameLocales.js';
+import {
+  getEmbedAllowedDomains,
+  getEmbedDimensions,
+  buildEmbedCsp,
+  buildEmbedIframe,
+  buildEmbedPage
+} from '../utils/embed.js';
+
+const router = express.Router();
+
+// Where this server is reached from partner sites (EMBED_BASE_URL behind proxies that rewrite the host)
+const getEmbedBaseUrl = (req) => (process.env.EMBED_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Site settings and the games that may be embedded, or a 403 when embedding is off
+const loadEmbedContext = async () => {
+  const [gameData, settings] = await Promise.all([getGameDataFromS3(), getSiteSettingsFromS3()]);
+  const allowedDomains = getEmbedAllowedDomains(settings);
+  if (allowedDomains.length === 0) {
+    throw createHttpError(403, 'Embedding is not enabled; add domains to embed.allowedDomains in site settings');
+  }
+
+  return {
+    config: getSeoConfig(settings),
+    allowedDomains,
+    games: getIndexableGames(gameData.games).filter(game => absoluteAssetUrl(game.play_url))
+  };
+};
+
+/**
+ * GET /oembed?url=<game page URL>
+ * oEmbed provider endpoint (https://oembed.com). Optional: maxwidth, maxheight, format (json only)
+ */
+router.get('/oembed', negotiateLocale, async (req, res, next) => {
+  try {
+    const { url, format = 'json' } = req.query;
+
+    if (format !== 'json') {
+      throw createHttpError(501, 'Only format=json is supported');
+    }
+    if (!url) {
+      throw createHttpError(400, 'url is required');
+    }
+
+    const { config, games } = await loadEmbedContext();
+    const slug = config.gameSlugFromUrl(String(url));
+    const match = slug && findGameBySlug(games, slug);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'No embeddable game at this URL'
+      });
+    }
+
+    const game = localizeGame(match.game, req.locale);
+    const { width, height } = getEmbedDimensions(game, {
+      maxWidth: parseInt(req.query.maxwidth),
+      maxHeight: parseInt(req.query.maxheight)
+    });
+    const embedUrl = `${getEmbedBaseUrl(req)}/embed/${encodeURIComponent(game.id)}?locale=${encodeURIComponent(req.locale)}`;
+
+    res.json({
+      version: '1.0',
+      type: 'rich',
+      title: game.name,
+      provider_name: config.siteTitle,
+      provider_url: `${config.siteUrl}/`,
+      html: buildEmbedIframe(embedUrl, game, { width, height }),
+      width,
+      height,
+      // The thumbnail stands in for the frame, so it is given the frame's size
+      ...(game.thumb_url && {
+        thumbnail_url: absoluteAssetUrl(game.thumb_url),
+        thumbnail_width: width,
+        thumbnail_height: height
+      }),
+      cache_age: 3600
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /embed/:gameId
+ * HTML page framing the game with a link back to it; may only be framed by the allowed domains
+ */
+router.get('/embed/:gameId', negotiateLocale, async (req, res, next) => {
+  try {
+    const { config, allowedDomains, games } = await loadEmbedContext();
+    const found = games.find(g => g.id === req.params.gameId);
+
+    if (!found) {
+      throw createHttpError(404, 'Game not found');
+    }
+
+    const game = localizeGame(found, req.locale);
+    const playUrl = absoluteAssetUrl(game.play_url);
+
+    // Replaces helmet's same-origin framing rules for this page only
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', buildEmbedCsp({ playUrl, siteUrl: config.siteUrl, allowedDomains }));
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(buildEmbedPage({
+      game,
+      playUrl,
+      gameUrl: config.gameUrl(game),
+      siteTitle: config.siteTitle,
+      locale: req.locale
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+/**
+ * Game Data History API Routes
+ *
+ * Snapshots of game-data.json taken on every write: list them, compare two versions
+ * game by game, and restore an earlier version.
+ */
+
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import { getGameDataFromS3, updateGameDataInS3 } from '../utils/s3Manager.js';
+import {
+  listGameDataSnapshots,
+  getGameDataSnapshot,
+  diffGameData
+} from '../utils/gameHistory.js';
+
+const router = express.Router();
+
+// Resolve a snapshot id (or "current" for the live catalog) to its game data
+const loadVersion = async (versionId) => {
+  if (versionId === 'current') {
+    return getGameDataFromS3();
+  }
+  const snapshot = await getGameDataSnapshot(versionId);
+  return snapshot ? snapshot.data : null;
+};
+
+/**
+ * GET /api/games/history
+ * List snapshots, newest first
+ * Query params: limit (default: 50)
+ */
+router.get('/', authenticateSession, async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const snapshots = await listGameDataSnapshots();
+
+    res.json({
+      success: true,
+      data: {
+        snapshots: snapshots.slice(0, limit),
+        total: snapshots.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/history/diff?from=<snapshotId>&to=<snapshotId|current>
+ * Compare two versions game by game (to defaults to the current catalog)
+ */
+router.get('/diff', authenticateSession, async (req, res, next) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "from" is required'
+      });
+    }
+
+    const [fromData, toData] = await Promise.all([loadVersion(from), loadVersion(to)]);
+
+    if (!fromData || !toData) {
+      return res.status(404).json({
+        success: false,
+        message: `Snapshot not found: ${!fromData ? from : to}`
+      });
+    }
+
+    const diff = diffGameData(fromData, toData);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...diff
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/games/history/:snapshotId
+ * Get one snapshot including the catalog it captured
+ */
+router.get('/:snapshotId', authenticateSession, async (req, res, next) => {
+  try {
+    const snapshot = await getGameDataSnapshot(req.params.snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/games/history/:snapshotId/restore
+ * Replace the catalog with a snapshot (the restore itself is recorded as a new snapshot)
+ */
+router.post('/:snapshotId/restore', authenticateSession, async (req, res, next) => {
+  try {
+    const { snapshotId } = req.params;
+    const snapshot = await getGameDataSnapshot(snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+
+    await updateGameDataInS3(snapshot.data, {
+      author: req.user.email,
+      reason: `restore ${snapshotId}`
+    });
+
+    res.json({
+      success: true,
+      message: `Game data restored from snapshot ${snapshotId}`,
+      data: {
+        snapshotId,
+        totalGames: snapshot.data.games?.length || 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+/**
+ * Game Trash API Routes
+ *
+ * Deleted games are kept here for TRASH_RETENTION_DAYS: restore them, or purge them
+ * (with their unreferenced thumbnail, logo, GIF and build files) before that.
+ */
+
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import {
+  listTrashedGames,
+  restoreTrashedGame,
+  purgeTrashedGame,
+  purgeExpiredTrash
+} from '../utils/gameTrash.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/games/trash
+ * List trashed games, most recently deleted first
+ */
+router.get('/', authenticateSession, async (req, res, next) => {
+  try {
+    const items = await listTrashedGames();
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        total: items.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/games/trash/purge
+ * Purge every game past its retention period now instead of waiting for the timer
+ */
+router.post('/purge', authenticateSession, async (req, res, next) => {
+  try {
+    const purged = await purgeExpiredTrash();
+
+    res.json({
+      success: true,
+      message: `Purged ${purged.length} games`,
+      data: purged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/games/trash/:gameId/restore
+ * Put a trashed game back in the catalog
+ */
+router.post('/:gameId/restore', authenticateSession, async (req, res, next) => {
+  try {
+    const game = await restoreTrashedGame(req.params.gameId, req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Game restored successfully',
+      data: game
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/games/trash/:gameId
+ * Permanently delete a trashed game and its assets that nothing else uses
+ */
+router.delete('/:gameId', authenticateSession, async (req, res, next) => {
+  try {
+    const result = await purgeTrashedGame(req.params.gameId);
+
+    res.json({
+      success: true,
+      message: 'Game permanently deleted',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
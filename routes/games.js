@@ -1,35 +1,147 @@
 import express from 'express';
-import { authenticateSession } from '../middleware/auth.js';
-import { getGameDataFromS3, updateGameDataInS3 } from '../utils/s3Manager.js';
+import { authenticateSession, authenticateForUnpublished } from '../middleware/auth.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import {
+  validateGameListQuery,
+  validateGameCreate,
+  validateGameUpdate,
+  validateGamePatch,
+  validateGameDataFullUpdate,
+  validateRelatedGamesQuery,
+  validateGameBatch,
+  assertUniqueGame,
+  SYSTEM_GAME_FIELDS
+} from '../middleware/validateGame.js';
+import { applyMergePatch } from '../utils/mergePatch.js';
+import { toSlug, findGameBySlug, recordSlugChange } from '../utils/gameSlugs.js';
+import { queryGames } from '../utils/gameQuery.js';
+import {
+  getCategories,
+  assertGameCategoriesExist,
+  normalizeGameCategories,
+  withoutPrimaryCategory,
+  resolveCategoryFilter,
+  sortCategories
+} from '../utils/categories.js';
+import { normalizeTags } from '../utils/gameTags.js';
+import { getCollections, sortCollections, isCollectionLive } from '../utils/collections.js';
+import { localizeGame, localizeGames, findMissingTranslations } from '../utils/gameLocales.js';
+import { runSchemaMigrations } from '../utils/migrations/runner.js';
+import { getGameStructuredData } from '../utils/seo.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import {
+  isGameLive,
+  filterLiveGames,
+  withGameStatus,
+  assertValidSchedule,
+  buildPublishingSchedule
+} from '../utils/gameSchedule.js';
+import {
+  planGameImport,
+  csvRecordToRow,
+  gameToCsvRecord,
+  EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS
+} from '../utils/gameImport.js';
+import { getGameDataFromS3, updateGameDataInS3, mutateGameData } from '../utils/s3Manager.js';
+import { trashGame } from '../utils/gameTrash.js';
+import { runGameBatch } from '../utils/gameBatch.js';
+import { findRelatedGames, DEFAULT_RELATED_LIMIT } from '../utils/relatedGames.js';
 import GameRankingService from '../services/GameRankingService.js';
 
 const router = express.Router();
 const rankingService = new GameRankingService({ 
   getGameDataFromS3, 
-  updateGameDataInS3 
+  updateGameDataInS3,
+  mutateGameData
 });
 
-// GET all games - Public endpoint
-router.get('/', async (req, res, next) => {
+// Anonymous visitors only get live games; logged-in editors can also preview drafts and scheduled games
+const isVisible = (req, game) => Boolean(req.session?.user) || isGameLive(game);
+
+// Categories and collections sent with the game list: everything for editors; otherwise active
+// categories and live collections, listing only ids of live, active games
+const listContext = (gameData, includeUnpublished, now) => {
+  const categories = sortCategories(getCategories(gameData));
+  const collections = sortCollections(getCollections(gameData));
+  if (includeUnpublished) {
+    return { categories, collections };
+  }
+
+  const publicIds = new Set(filterLiveGames(gameData.games, now)
+    .filter(game => game.isActive !== false)
+    .map(game => game.id));
+  return {
+    categories: categories.filter(category => category.isActive !== false),
+    collections: collections
+      .filter(collection => isCollectionLive(collection, now))
+      .map(collection => ({ ...collection, gameIds: collection.gameIds.filter(id => publicIds.has(id)) }))
+  };
+};
+
+// GET all games - Public endpoint (live games only)
+// Optional query: category, tags, tagMatch, size, active, createdFrom, createdTo, sort, order, fields, page, limit, cursor
+// ?includeUnpublished=true (requires login) adds draft, scheduled and expired games; filter them with ?status=
+router.get('/', authenticateForUnpublished, validateGameListQuery, negotiateLocale, async (req, res, next) => {
+  try {
+    const gameData = await getGameDataFromS3();
+    const now = Date.now();
+    const includeUnpublished = req.query.includeUnpublished === 'true';
+    const visibleGames = includeUnpublished ? gameData.games : filterLiveGames(gameData.games, now);
+
+    const { games, pagination } = queryGames(visibleGames.map(game => withGameStatus(localizeGame(game, req.locale), now)), {
+      ...req.query,
+      category: resolveCategoryFilter(getCategories(gameData), req.query.category)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        games,
+        ...listContext(gameData, includeUnpublished, now)
+      },
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET single game by slug - Public endpoint (unpublished games only for logged-in editors)
+// Old slugs resolve to the renamed game; redirect tells the site to 301 to canonicalSlug
+router.get('/by-slug/:slug', negotiateLocale, async (req, res, next) => {
   try {
+    const { slug } = req.params;
     const gameData = await getGameDataFromS3();
+    const match = findGameBySlug(gameData.games, slug);
+
+    if (!match || !isVisible(req, match.game)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: gameData
+      data: withGameStatus(localizeGame(match.game, req.locale)),
+      canonicalSlug: match.canonicalSlug,
+      redirect: !match.isCanonical
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET single game by ID - Public endpoint
-router.get('/:gameId', async (req, res, next) => {
+// GET single game by ID - Public endpoint (unpublished games only for logged-in editors)
+router.get('/:gameId', negotiateLocale, async (req, res, next) => {
   try {
     const { gameId } = req.params;
     const gameData = await getGameDataFromS3();
     const game = gameData.games?.find(g => g.id === gameId);
 
-    if (!game) {
+    if (!game || !isVisible(req, game)) {
       return res.status(404).json({
         success: false,
         message: 'Game not found'
@@ -38,40 +150,91 @@ router.get('/:gameId', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: game
+      data: withGameStatus(localizeGame(game, req.locale))
     });
   } catch (error) {
     next(error);
   }
 });
 
-// POST new game - Protected endpoint
-router.post('/', authenticateSession, async (req, res, next) => {
+// GET games similar to a game ("more like this") - Public endpoint
+// Only live, active games are recommended; optional query: limit
+router.get('/:gameId/related', validateRelatedGamesQuery, negotiateLocale, async (req, res, next) => {
   try {
     const gameData = await getGameDataFromS3();
-    
-    if (!gameData.games) {
-      gameData.games = [];
+    const game = gameData.games?.find(g => g.id === req.params.gameId);
+
+    if (!game || !isVisible(req, game)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
     }
 
+    const candidates = filterLiveGames(gameData.games).filter(g => g.isActive !== false);
+    const related = findRelatedGames(game, candidates, {
+      limit: parseInt(req.query.limit) || DEFAULT_RELATED_LIMIT
+    });
+
+    res.json({
+      success: true,
+      data: localizeGames(related, req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET schema.org VideoGame JSON-LD for a game page - Public endpoint (live, active games only)
+router.get('/:gameId/structured-data', negotiateLocale, async (req, res, next) => {
+  try {
+    const structuredData = await getGameStructuredData(req.params.gameId, req.locale);
+
+    if (!structuredData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    res.type('application/ld+json').send(JSON.stringify(structuredData, null, 2));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST new game - Protected endpoint
+router.post('/', authenticateSession, validateGameCreate, async (req, res, next) => {
+  try {
     const baseGame = {
       id: req.body.id || `game_${Date.now()}`,
       name: req.body.name,
-      slug: req.body.slug || req.body.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, ''),
+      slug: req.body.slug || toSlug(req.body.name),
       description: req.body.description,
       thumb_url: req.body.thumb_url || '',
       logo_url: req.body.logo_url || req.body.thumb_url || '',
       gif_url: req.body.gif_url || '',
       play_url: req.body.play_url || '',
       size: req.body.size || 'small',
-      category: req.body.category
+      category: req.body.category,
+      categories: req.body.categories,
+      tags: normalizeTags(req.body.tags),
+      ...(req.body.publishAt && { publishAt: req.body.publishAt }),
+      ...(req.body.unpublishAt && { unpublishAt: req.body.unpublishAt }),
+      ...(req.body.isDraft && { isDraft: true }),
+      ...(req.body.translations && { translations: req.body.translations })
     };
+    normalizeGameCategories(baseGame);
+    assertValidSchedule(baseGame);
 
     // Initialize with ranking data
     const newGame = rankingService.initializeGameRanking(baseGame);
 
-    gameData.games.push(newGame);
-    await updateGameDataInS3(gameData);
+    await mutateGameData((gameData) => {
+      assertUniqueGame(gameData.games, newGame);
+      assertGameCategoriesExist(getCategories(gameData), newGame);
+      gameData.games.push(newGame);
+    }, { author: req.user.email, reason: `create game ${newGame.id}` });
 
     res.status(201).json({
       success: true,
@@ -84,36 +247,63 @@ router.post('/', authenticateSession, async (req, res, next) => {
 });
 
 // PUT update game - Protected endpoint
-router.put('/:gameId', authenticateSession, async (req, res, next) => {
+router.put('/:gameId', authenticateSession, validateGameUpdate, async (req, res, next) => {
   try {
     const { gameId } = req.params;
-    const gameData = await getGameDataFromS3();
-    
-    const gameIndex = gameData.games?.findIndex(g => g.id === gameId);
+    let updatedGame;
 
-    if (gameIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Game not found'
-      });
-    }
+    await mutateGameData((gameData) => {
+      const gameIndex = gameData.games.findIndex(g => g.id === gameId);
 
-    // Update game with new data (maintain consistent format)
-    const updatedGame = {
-      id: gameId, // Ensure ID doesn't change
-      name: req.body.name || gameData.games[gameIndex].name,
-      slug: req.body.slug || req.body.name?.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '') || gameData.games[gameIndex].slug,
-      description: req.body.description || gameData.games[gameIndex].description,
-      thumb_url: req.body.thumb_url || gameData.games[gameIndex].thumb_url,
-      logo_url: req.body.logo_url || gameData.games[gameIndex].logo_url,
-      gif_url: req.body.gif_url || gameData.games[gameIndex].gif_url,
-      play_url: req.body.play_url || gameData.games[gameIndex].play_url,
-      size: req.body.size || gameData.games[gameIndex].size,
-      category: req.body.category || gameData.games[gameIndex].category
-    };
+      if (gameIndex === -1) {
+        throw createHttpError(404, 'Game not found');
+      }
+
+      const existingGame = gameData.games[gameIndex];
+      // Fields sent in the body replace the stored ones, even when false, 0 or ''
+      const sent = (field) => req.body[field] !== undefined;
+      const valueOf = (field) => (sent(field) ? req.body[field] : existingGame[field]);
 
-    gameData.games[gameIndex] = updatedGame;
-    await updateGameDataInS3(gameData);
+      // Carry over ranking and bookkeeping fields untouched
+      const systemFields = Object.fromEntries(
+        SYSTEM_GAME_FIELDS
+          .filter(field => field in existingGame)
+          .map(field => [field, existingGame[field]])
+      );
+
+      // Update game with new data (maintain consistent format)
+      updatedGame = {
+        ...systemFields,
+        id: gameId, // Ensure ID doesn't change
+        name: valueOf('name'),
+        // A new name gets a new slug unless one is sent with it
+        slug: sent('slug') ? req.body.slug : (sent('name') && toSlug(req.body.name)) || existingGame.slug,
+        description: valueOf('description'),
+        thumb_url: valueOf('thumb_url'),
+        logo_url: valueOf('logo_url'),
+        gif_url: valueOf('gif_url'),
+        play_url: valueOf('play_url'),
+        size: valueOf('size'),
+        category: valueOf('category'),
+        categories: sent('categories') ? req.body.categories : withoutPrimaryCategory(existingGame, req.body.category),
+        tags: sent('tags') ? normalizeTags(req.body.tags) : existingGame.tags || [],
+        publishAt: valueOf('publishAt'),
+        unpublishAt: valueOf('unpublishAt'),
+        isDraft: valueOf('isDraft'),
+        translations: valueOf('translations'),
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.email
+      };
+      normalizeGameCategories(updatedGame);
+      assertValidSchedule(updatedGame);
+
+      recordSlugChange(existingGame, updatedGame);
+      assertUniqueGame(gameData.games, updatedGame, gameId);
+      if (sent('category') || sent('categories')) {
+        assertGameCategoriesExist(getCategories(gameData), updatedGame, { previous: existingGame });
+      }
+      gameData.games[gameIndex] = updatedGame;
+    }, { author: req.user.email, reason: `update game ${gameId}` });
 
     res.json({
       success: true,
@@ -125,29 +315,93 @@ router.put('/:gameId', authenticateSession, async (req, res, next) => {
   }
 });
 
-// DELETE game - Protected endpoint
-router.delete('/:gameId', authenticateSession, async (req, res, next) => {
+// PATCH game with a JSON Merge Patch - Protected endpoint
+// Only the fields sent change; null clears a field. Ranking and system fields can't be patched.
+router.patch('/:gameId', authenticateSession, validateGamePatch, async (req, res, next) => {
   try {
     const { gameId } = req.params;
-    const gameData = await getGameDataFromS3();
-    
-    const gameIndex = gameData.games?.findIndex(g => g.id === gameId);
+    let patchedGame;
 
-    if (gameIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Game not found'
-      });
-    }
+    await mutateGameData((gameData) => {
+      const gameIndex = gameData.games.findIndex(g => g.id === gameId);
+
+      if (gameIndex === -1) {
+        throw createHttpError(404, 'Game not found');
+      }
+
+      const existingGame = gameData.games[gameIndex];
+      const patch = req.body.category !== undefined && req.body.categories === undefined
+        ? { ...req.body, categories: withoutPrimaryCategory(existingGame, req.body.category) }
+        : req.body;
+
+      patchedGame = {
+        ...applyMergePatch(existingGame, patch),
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.email
+      };
+      normalizeGameCategories(patchedGame);
+      assertValidSchedule(patchedGame);
+      if (patchedGame.tags) {
+        patchedGame.tags = normalizeTags(patchedGame.tags);
+      }
+
+      recordSlugChange(gameData.games[gameIndex], patchedGame);
+      assertUniqueGame(gameData.games, patchedGame, gameId);
+      if (req.body.category !== undefined || req.body.categories !== undefined) {
+        assertGameCategoriesExist(getCategories(gameData), patchedGame, { previous: existingGame });
+      }
+      gameData.games[gameIndex] = patchedGame;
+    }, { author: req.user.email, reason: `patch game ${gameId}` });
+
+    res.json({
+      success: true,
+      message: 'Game updated successfully in S3',
+      data: patchedGame
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const deletedGame = gameData.games[gameIndex];
-    gameData.games.splice(gameIndex, 1);
-    await updateGameDataInS3(gameData);
+// DELETE game - Protected endpoint
+// Moves the game to the trash; it is purged with its assets after TRASH_RETENTION_DAYS
+router.delete('/:gameId', authenticateSession, async (req, res, next) => {
+  try {
+    const entry = await trashGame(req.params.gameId, req.user.email);
 
     res.json({
       success: true,
-      message: 'Game deleted successfully from S3',
-      data: deletedGame
+      message: 'Game moved to trash',
+      data: {
+        ...entry.game,
+        deletedAt: entry.deletedAt,
+        purgeAfter: entry.purgeAfter
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST batch of ranking, status, category and delete operations - Protected endpoint
+// All operations are applied in one catalog write, or none when any fails; { "dryRun": true } only reports
+router.post('/batch', authenticateSession, validateGameBatch, async (req, res, next) => {
+  try {
+    const report = await runGameBatch(req.body.operations, {
+      author: req.user.email,
+      rankingService,
+      dryRun: req.body.dryRun === true
+    });
+    const firstFailure = report.results.find(result => !result.success);
+
+    res.status(firstFailure ? firstFailure.status : 200).json({
+      success: !firstFailure,
+      message: firstFailure
+        ? `Batch rolled back: ${report.summary.failed} of ${report.summary.total} operations failed`
+        : report.dryRun
+          ? `Dry run: all ${report.summary.total} operations would succeed`
+          : `Applied ${report.summary.total} operations`,
+      data: report
     });
   } catch (error) {
     next(error);
@@ -155,19 +409,27 @@ router.delete('/:gameId', authenticateSession, async (req, res, next) => {
 });
 
 // PUT update entire game-data.json - Protected endpoint
-router.put('/data/full-update', authenticateSession, async (req, res, next) => {
+router.put('/data/full-update', authenticateSession, validateGameDataFullUpdate, async (req, res, next) => {
   try {
-    const newGameData = req.body;
-    
-    // Validate that it has games array
-    if (!newGameData.games || !Array.isArray(newGameData.games)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid game data format. Must include "games" array.'
-      });
-    }
+    // Shape, fields and duplicate ids/slugs are checked by validateGameDataFullUpdate
+    let newGameData;
 
-    await updateGameDataInS3(newGameData);
+    await mutateGameData((gameData) => {
+      // Keep the current categories and collections unless the new document brings its own
+      newGameData = {
+        ...req.body,
+        categories: req.body.categories ?? getCategories(gameData),
+        collections: req.body.collections ?? getCollections(gameData)
+      };
+      newGameData.games.forEach((game, index) => {
+        assertGameCategoriesExist(newGameData.categories, game, {
+          previous: gameData.games.find(g => g.id === game.id),
+          prefix: `games[${index}].`
+        });
+        assertValidSchedule(game, `games[${index}].`);
+      });
+      return newGameData;
+    }, { author: req.user.email, reason: 'full update' });
 
     res.json({
       success: true,
@@ -179,53 +441,156 @@ router.put('/data/full-update', authenticateSession, async (req, res, next) => {
   }
 });
 
-// Clean up and migrate games to new format - Protected endpoint
-router.post('/migrate', authenticateSession, async (req, res, next) => {
+// Read import rows from a CSV body (text/csv) or JSON ([...] or { games: [...] })
+const readImportRows = (req) => {
+  if (typeof req.body === 'string') {
+    return parseCsv(req.body).map(csvRecordToRow);
+  }
+  if (Array.isArray(req.body)) {
+    return req.body;
+  }
+  if (Array.isArray(req.body?.games)) {
+    return req.body.games;
+  }
+  throw createHttpError(400, 'Send CSV (Content-Type: text/csv) or JSON: an array of games or { "games": [...] }');
+};
+
+// POST bulk import games from CSV or JSON - Protected endpoint
+// Rows with an existing id update that game, other rows create games; ?dryRun=true only reports
+router.post('/data/import', authenticateSession, express.text({ type: 'text/csv', limit: '5mb' }), async (req, res, next) => {
   try {
+    const dryRun = req.query.dryRun === 'true';
+    const rows = readImportRows(req);
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rows to import'
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many rows (${rows.length}); import at most ${MAX_IMPORT_ROWS} at a time`
+      });
+    }
+
+    const options = {
+      author: req.user.email,
+      initializeGame: (game) => rankingService.initializeGameRanking(game)
+    };
+
+    // Plan against the current catalog first: a dry run stops here, and so does an import with nothing to apply
+    let report = await planGameImport(await getGameDataFromS3(), rows, options);
+
+    if (!dryRun && report.summary.created + report.summary.updated > 0) {
+      // Re-planned on the freshly read catalog inside the write so concurrent edits aren't lost
+      await mutateGameData(async (gameData) => {
+        report = await planGameImport(gameData, rows, options);
+      }, { author: req.user.email, reason: `import ${rows.length} rows` });
+    }
+
+    const applied = report.summary.created + report.summary.updated;
+
+    res.status(!dryRun && applied === 0 ? 400 : 200).json({
+      success: dryRun || applied > 0,
+      message: dryRun
+        ? `Dry run: ${report.summary.created} to create, ${report.summary.updated} to update, ${report.summary.rejected} rejected`
+        : `Imported ${applied} games (${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.rejected} rejected)`,
+      data: {
+        dryRun,
+        ...report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET export the catalog as CSV or JSON, including ranking fields - Protected endpoint
+// ?format=csv (default) or json
+router.get('/data/export', authenticateSession, async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or json'
+      });
+    }
+
     const gameData = await getGameDataFromS3();
-    
-    if (!gameData.games || !Array.isArray(gameData.games)) {
+    const games = gameData.games || [];
+    const fileName = `games-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(fileName);
+
+    if (format === 'json') {
       return res.json({
-        success: true,
-        message: 'No games to migrate',
-        migrated: 0
+        exportedAt: new Date().toISOString(),
+        total: games.length,
+        games
       });
     }
 
-    let migratedCount = 0;
-    const cleanedGames = gameData.games.map(game => {
-      // Check if game is in old format (has extra fields)
-      if (game.tags || game.developer || game.releaseDate || game.ageRating || game.languages || game.createdAt) {
-        migratedCount++;
-        
-        // Convert to new format
-        return {
-          id: game.id,
-          name: game.name,
-          slug: game.slug || game.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, ''),
-          description: game.description,
-          thumb_url: game.thumb_url || game.thumbnail || '',
-          logo_url: game.logo_url || game.logo || game.thumbnail || '',
-          gif_url: game.gif_url || game.gif || '',
-          play_url: game.play_url || game.htmlFile ? `games/${game.name}/` : '',
-          size: game.size || 'small',
-          category: game.category
-        };
+    res.type('text/csv').send(toCsv(games.map(gameToCsvRecord), EXPORT_COLUMNS));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET publishing calendar: drafts, upcoming launches, games expiring soon and expired games - Protected endpoint
+// ?days=30 sets the "expiring soon" window
+router.get('/data/schedule', authenticateSession, async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const gameData = await getGameDataFromS3();
+    const schedule = buildPublishingSchedule(gameData.games, { days });
+
+    res.json({
+      success: true,
+      data: {
+        now: new Date().toISOString(),
+        days,
+        ...schedule
       }
-      
-      // Already in new format, return as is
-      return game;
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update the data with cleaned games
-    const cleanedData = { games: cleanedGames };
-    await updateGameDataInS3(cleanedData);
+// GET translation coverage: games missing a name or description in each configured locale - Protected endpoint
+router.get('/data/translations', authenticateSession, async (req, res, next) => {
+  try {
+    const gameData = await getGameDataFromS3();
+
+    res.json({
+      success: true,
+      data: findMissingTranslations(gameData.games)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upgrade game-data.json to the current schema (see utils/migrations) - Protected endpoint
+// Kept for existing tooling; ?dryRun=true returns the diff without writing. /api/schema/migrate covers every document.
+router.post('/migrate', authenticateSession, async (req, res, next) => {
+  try {
+    const [result] = await runSchemaMigrations({
+      documents: ['game-data'],
+      dryRun: req.query.dryRun === 'true',
+      author: req.user.email
+    });
 
     res.json({
       success: true,
-      message: `Migrated ${migratedCount} games to new format`,
-      migrated: migratedCount,
-      total: cleanedGames.length
+      message: result.status === 'migrated'
+        ? `Migrated game data from schema v${result.fromVersion} to v${result.toVersion}`
+        : `Game data is ${result.status}`,
+      data: result
     });
   } catch (error) {
     next(error);
@@ -6,37 +6,42 @@
  */
 
 import express from 'express';
-import { authenticateSession } from '../middleware/auth.js';
+import { authenticateSession, authenticateForUnpublished } from '../middleware/auth.js';
+import { validateInitializeGame } from '../middleware/validateGame.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { parseTagFilter } from '../utils/gameTags.js';
+import { localizeGames } from '../utils/gameLocales.js';
 import GameRankingService from '../services/GameRankingService.js';
-import { getGameDataFromS3, updateGameDataInS3 } from '../utils/s3Manager.js';
+import { getGameDataFromS3, updateGameDataInS3, mutateGameData } from '../utils/s3Manager.js';
 
 const router = express.Router();
 const rankingService = new GameRankingService({ 
   getGameDataFromS3, 
-  updateGameDataInS3 
+  updateGameDataInS3,
+  mutateGameData
 });
 
 /**
  * POST /api/ranking/track-play
- * Track a game play and update rankings
+ * Record a game play; plays are written and rankings recalculated on the next flush
  */
 router.post('/track-play', async (req, res) => {
   try {
     const { gameId } = req.body;
     
-    if (!gameId) {
+    if (!gameId || typeof gameId !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Game ID is required'
       });
     }
 
-    const result = await rankingService.trackGamePlay(gameId);
+    const result = rankingService.trackGamePlay(gameId);
     
-    res.json({
+    res.status(202).json({
       success: true,
       data: result,
-      message: 'Game play tracked successfully'
+      message: 'Game play recorded'
     });
   } catch (error) {
     console.error('Error tracking game play:', error);
@@ -47,24 +52,56 @@ router.post('/track-play', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ranking/flush-plays
+ * Write buffered plays and recalculate rankings now (Admin only)
+ */
+router.post('/flush-plays', authenticateSession, async (req, res) => {
+  try {
+    const flushed = await rankingService.flushPlays();
+    
+    res.json({
+      success: true,
+      data: {
+        flushed,
+        flushedAt: new Date().toISOString()
+      },
+      message: `Flushed ${flushed} plays`
+    });
+  } catch (error) {
+    console.error('Error flushing plays:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to flush plays'
+    });
+  }
+});
+
 /**
  * GET /api/ranking/top-games
  * Get top N games by rank
- * Query params: limit (default: 5), activeOnly (default: true)
+ * Query params: limit (default: 5), activeOnly (default: true), tags, tagMatch (any|all, default: any),
+ * locale (default: Accept-Language, then DEFAULT_LOCALE)
  */
-router.get('/top-games', async (req, res) => {
+router.get('/top-games', negotiateLocale, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5;
     const activeOnly = req.query.activeOnly !== 'false';
+    const filters = {
+      tags: parseTagFilter(req.query.tags),
+      tagMatch: req.query.tagMatch === 'all' ? 'all' : 'any'
+    };
     
-    const topGames = await rankingService.getTopGames(limit, activeOnly);
+    const topGames = await rankingService.getTopGames(limit, activeOnly, filters);
     
     res.json({
       success: true,
       data: {
-        games: topGames,
+        games: localizeGames(topGames, req.locale),
+        locale: req.locale,
         limit,
-        activeOnly
+        activeOnly,
+        ...filters
       },
       message: `Retrieved top ${topGames.length} games`
     });
@@ -80,14 +117,18 @@ router.get('/top-games', async (req, res) => {
 /**
  * GET /api/ranking/all-games
  * Get all games with rankings
- * Query params: activeOnly, sortBy, sortOrder
+ * Query params: activeOnly, sortBy, sortOrder, tags, tagMatch (any|all),
+ * includeUnpublished (requires login; adds draft, scheduled and expired games), locale
  */
-router.get('/all-games', async (req, res) => {
+router.get('/all-games', authenticateForUnpublished, negotiateLocale, async (req, res) => {
   try {
     const options = {
       activeOnly: req.query.activeOnly === 'true',
       sortBy: req.query.sortBy || 'rank',
-      sortOrder: req.query.sortOrder || 'asc'
+      sortOrder: req.query.sortOrder || 'asc',
+      tags: parseTagFilter(req.query.tags),
+      tagMatch: req.query.tagMatch === 'all' ? 'all' : 'any',
+      includeUnpublished: req.query.includeUnpublished === 'true'
     };
     
     const games = await rankingService.getAllRankedGames(options);
@@ -95,8 +136,9 @@ router.get('/all-games', async (req, res) => {
     res.json({
       success: true,
       data: {
-        games,
+        games: localizeGames(games, req.locale),
         total: games.length,
+        locale: req.locale,
         options
       },
       message: `Retrieved ${games.length} ranked games`
@@ -125,7 +167,7 @@ router.put('/game-status', authenticateSession, async (req, res) => {
       });
     }
 
-    const result = await rankingService.updateGameStatus(gameId, isActive);
+    const result = await rankingService.updateGameStatus(gameId, isActive, req.user.email);
     
     res.json({
       success: true,
@@ -156,7 +198,7 @@ router.put('/set-rank', authenticateSession, async (req, res) => {
       });
     }
 
-    const result = await rankingService.setGameRank(gameId, parseInt(rank));
+    const result = await rankingService.setGameRank(gameId, parseInt(rank), req.user.email);
     
     res.json({
       success: true,
@@ -198,16 +240,9 @@ router.get('/statistics', async (req, res) => {
  * POST /api/ranking/initialize-game
  * Initialize a new game with ranking data
  */
-router.post('/initialize-game', authenticateSession, async (req, res) => {
+router.post('/initialize-game', authenticateSession, validateInitializeGame, async (req, res) => {
   try {
     const { game } = req.body;
-    
-    if (!game || !game.id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Game object with ID is required'
-      });
-    }
 
     const initializedGame = rankingService.initializeGameRanking(game);
     
@@ -233,22 +268,16 @@ router.post('/initialize-game', authenticateSession, async (req, res) => {
  */
 router.post('/recalculate', authenticateSession, async (req, res) => {
   try {
-    const gameData = await getGameDataFromS3();
-    const games = gameData.games || [];
-    
-    // Recalculate rankings
-    const rankedGames = rankingService.calculateRankings(games);
-    
-    // Update the game data
-    const updatedGameData = { ...gameData, games: rankedGames };
-    
-    // Save to S3
-    await updateGameDataInS3(updatedGameData);
+    // Recalculate rankings and save to S3
+    const updatedGameData = await mutateGameData((gameData) => {
+      const rankedGames = rankingService.calculateRankings(gameData.games || []);
+      return { ...gameData, games: rankedGames };
+    }, { author: req.user.email, reason: 'recalculate rankings' });
     
     res.json({
       success: true,
       data: {
-        totalGames: rankedGames.length,
+        totalGames: updatedGameData.games.length,
         recalculatedAt: new Date().toISOString()
       },
       message: 'All game rankings recalculated successfully'
@@ -262,4 +291,5 @@ router.post('/recalculate', authenticateSession, async (req, res) => {
   }
 });
 
+export { rankingService };
 export default router;
@@ -0,0 +1,69 @@
+/**
+ * Schema Migration Routes (root only)
+ *
+ * game-data.json and site-settings.json carry a schemaVersion; the ordered steps in
+ * utils/migrations upgrade older documents. Reads upgrade in memory, these endpoints
+ * rewrite the stored files. Same as the CLI: npm run migrate-schema
+ */
+
+import express from 'express';
+import { requireRoot } from '../middleware/auth.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { SCHEMA_DOCUMENTS } from '../utils/migrations/index.js';
+import { getSchemaStatus, runSchemaMigrations } from '../utils/migrations/runner.js';
+
+const router = express.Router();
+
+// "game-data,site-settings" or ["game-data"] -> known document names (undefined means all)
+const parseDocuments = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const documents = Array.isArray(value) ? value : String(value).split(',').map(name => name.trim());
+  const unknown = documents.filter(name => !SCHEMA_DOCUMENTS[name]);
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Unknown document ${unknown.join(', ')}; use: ${Object.keys(SCHEMA_DOCUMENTS).join(', ')}`);
+  }
+  return documents;
+};
+
+/**
+ * GET /api/schema
+ * Stored and current schema version of each document, with the pending steps
+ */
+router.get('/', requireRoot, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSchemaStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/schema/migrate
+ * Upgrade stored documents to the current schema; each one is backed up first
+ * Body: { documents: ["game-data", "site-settings"], dryRun } dryRun: true returns the diffs without writing
+ */
+router.post('/migrate', requireRoot, async (req, res, next) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const results = await runSchemaMigrations({
+      documents: parseDocuments(req.body?.documents ?? req.query.documents),
+      dryRun,
+      author: req.session.user.email
+    });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run: nothing was written' : 'Schema migration complete',
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * SEO Routes (public)
+ *
+ * sitemap.xml and the RSS/Atom feeds of new games, built from the live catalog on each
+ * request. Links use siteUrl from site settings. Per-game JSON-LD is served by
+ * GET /api/games/:gameId/structured-data.
+ */
+
+import express from 'express';
+import { renderSeoFile } from '../utils/seo.js';
+
+const router = express.Router();
+
+const serveSeoFile = (name) => async (req, res, next) => {
+  try {
+    const { body, contentType } = await renderSeoFile(name);
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /sitemap.xml
+ * Home page, categories with live games, and every live, active game
+ */
+router.get('/sitemap.xml', serveSeoFile('sitemap.xml'));
+
+/**
+ * GET /feed.rss
+ * RSS 2.0 feed of the newest games
+ */
+router.get('/feed.rss', serveSeoFile('feed.rss'));
+
+/**
+ * GET /feed.atom
+ * Atom feed of the newest games
+ */
+router.get('/feed.atom', serveSeoFile('feed.atom'));
+
+export default router;
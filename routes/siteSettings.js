@@ -1,11 +1,51 @@
 import express from 'express';
-import { authenticateSession } from '../middleware/auth.js';
-import { getSiteSettingsFromS3, updateSiteSettingsInS3 } from '../utils/s3Manager.js';
+import { authenticateSession, requireRole } from '../middleware/auth.js';
+import { getSiteSettingsFromS3 } from '../utils/s3Manager.js';
+import {
+  getSiteSettingsDraft,
+  saveSiteSettingsDraft,
+  discardSiteSettingsDraft,
+  getPreviousSiteSettings,
+  publishSiteSettings,
+  publishSiteSettingsDraft,
+  revertSiteSettings
+} from '../utils/siteSettingsWorkflow.js';
 
 const router = express.Router();
 
+// Roles allowed to change what the live site reads (other signed-in users edit the draft)
+const PUBLISHER_ROLES = ['root'];
+
 // GET site settings - Public endpoint (website needs this)
+// ?draft=true returns the editors' draft instead (requires login)
 router.get('/', async (req, res, next) => {
+  if (req.query.draft === 'true') {
+    return authenticateSession(req, res, async () => {
+      try {
+        const draft = await getSiteSettingsDraft();
+
+        if (!draft) {
+          return res.status(404).json({
+            success: false,
+            message: 'No site settings draft'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: draft.settings,
+          draft: {
+            createdAt: draft.createdAt,
+            updatedAt: draft.updatedAt,
+            updatedBy: draft.updatedBy
+          }
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
   try {
     const settings = await getSiteSettingsFromS3();
     res.json({
@@ -17,11 +57,11 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// PUT update site settings - Protected endpoint
-router.put('/', authenticateSession, async (req, res, next) => {
+// PUT update site settings and publish immediately - Publishers only
+router.put('/', requireRole(...PUBLISHER_ROLES), async (req, res, next) => {
   try {
     const newSettings = req.body;
-    
+
     // No mandatory fields - user can update any field they want
     // Just ensure we have some data to save
     if (!newSettings || Object.keys(newSettings).length === 0) {
@@ -31,7 +71,7 @@ router.put('/', authenticateSession, async (req, res, next) => {
       });
     }
 
-    await updateSiteSettingsInS3(newSettings);
+    await publishSiteSettings(newSettings, req.user.email);
 
     res.json({
       success: true,
@@ -43,5 +83,114 @@ router.put('/', authenticateSession, async (req, res, next) => {
   }
 });
 
-export default router;
+// PUT save draft - Protected endpoint (can be saved repeatedly before publishing)
+router.put('/draft', authenticateSession, async (req, res, next) => {
+  try {
+    const draftSettings = req.body;
 
+    if (!draftSettings || Object.keys(draftSettings).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No settings data provided'
+      });
+    }
+
+    const draft = await saveSiteSettingsDraft(draftSettings, req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Site settings draft saved',
+      data: draft
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE discard draft - Protected endpoint
+router.delete('/draft', authenticateSession, async (req, res, next) => {
+  try {
+    const discarded = await discardSiteSettingsDraft();
+
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        message: 'No site settings draft'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site settings draft discarded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST publish draft - Publishers only (the replaced version is kept for revert)
+router.post('/publish', requireRole(...PUBLISHER_ROLES), async (req, res, next) => {
+  try {
+    const published = await publishSiteSettingsDraft(req.user.email);
+
+    if (!published) {
+      return res.status(404).json({
+        success: false,
+        message: 'No site settings draft to publish'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site settings draft published',
+      data: published
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET previously published version - Protected endpoint
+router.get('/previous', authenticateSession, async (req, res, next) => {
+  try {
+    const previous = await getPreviousSiteSettings();
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'No previously published site settings'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: previous
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST revert to the previously published version - Publishers only
+router.post('/revert', requireRole(...PUBLISHER_ROLES), async (req, res, next) => {
+  try {
+    const restored = await revertSiteSettings(req.user.email);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'No previously published site settings to revert to'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Site settings reverted to the previously published version',
+      data: restored
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { validateBulkTags } from '../middleware/validateGame.js';
+import { getGameDataFromS3, mutateGameData } from '../utils/s3Manager.js';
+import { normalizeTags, buildTagIndex, MAX_TAGS_PER_GAME } from '../utils/gameTags.js';
+import { filterLiveGames } from '../utils/gameSchedule.js';
+
+const router = express.Router();
+
+// GET tag index with game counts - Public endpoint
+// Counts live, active games only unless ?activeOnly=false (unpublished games are never counted)
+router.get('/', async (req, res, next) => {
+  try {
+    const activeOnly = req.query.activeOnly !== 'false';
+    const gameData = await getGameDataFromS3();
+    const games = filterLiveGames(gameData.games).filter(game => !activeOnly || game.isActive !== false);
+    const tags = buildTagIndex(games);
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        total: tags.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST add and/or remove tags on many games at once - Protected endpoint
+// Body: { gameIds: [...], add: [...], remove: [...] }; all games must exist or nothing changes
+router.post('/bulk', authenticateSession, validateBulkTags, async (req, res, next) => {
+  try {
+    const gameIds = [...new Set(req.body.gameIds)];
+    const add = normalizeTags(req.body.add);
+    const remove = normalizeTags(req.body.remove);
+    let updatedGames = 0;
+
+    await mutateGameData((gameData) => {
+      const missing = gameIds.filter(id => !gameData.games.some(g => g.id === id));
+      if (missing.length > 0) {
+        throw createHttpError(404, `Games not found: ${missing.join(', ')}`);
+      }
+
+      updatedGames = 0;
+      const now = new Date().toISOString();
+
+      gameData.games.forEach(game => {
+        if (!gameIds.includes(game.id)) {
+          return;
+        }
+        const current = normalizeTags(game.tags);
+        const tags = normalizeTags([...current, ...add]).filter(tag => !remove.includes(tag));
+        if (tags.length > MAX_TAGS_PER_GAME) {
+          throw createHttpError(400, `Game ${game.id} would have more than ${MAX_TAGS_PER_GAME} tags`);
+        }
+
+        if (tags.length !== current.length || tags.some((tag, i) => tag !== current[i])) {
+          game.tags = tags;
+          game.updatedAt = now;
+          game.updatedBy = req.user.email;
+          updatedGames++;
+        }
+      });
+    }, { author: req.user.email, reason: `bulk tags on ${gameIds.length} games` });
+
+    res.json({
+      success: true,
+      message: `Updated tags on ${updatedGames} games`,
+      data: {
+        added: add,
+        removed: remove,
+        selectedGames: gameIds.length,
+        updatedGames
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
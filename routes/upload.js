@@ -1,7 +1,10 @@
 import express from 'express';
 import multer from 'multer';
 import { authenticateSession } from '../middleware/auth.js';
-import { uploadFileToS3, deleteFileFromS3 } from '../utils/s3Manager.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { uploadFileToS3, deleteFileFromS3, mutateGameData, getGameDataFromS3 } from '../utils/s3Manager.js';
+import { extractGameArchive, findBuildFolderOwner, toGameSlug } from '../utils/gameArchive.js';
+import { listTrashedGames } from '../utils/gameTrash.js';
 
 const router = express.Router();
 
@@ -51,6 +54,74 @@ const getS3Folder = (fieldName, mimetype, customFolder) => {
   return 'assets';
 };
 
+const isZipUpload = (fieldName, mimetype) => fieldName === 'htmlZip' || mimetype.includes('zip');
+
+// Games whose build folders are taken: the catalog and the trash (a trashed game can be restored)
+const getAllGames = async () => {
+  const [gameData, trash] = await Promise.all([getGameDataFromS3(), listTrashedGames()]);
+  return [...gameData.games, ...trash.map(item => item.game)];
+};
+
+const folderTakenError = (folder, owner) => createHttpError(
+  409,
+  `public/games/${folder}/ belongs to game ${owner.id}; pass that game's gameId to replace its build`
+);
+
+// Extract an HTML5 game ZIP into a new public/games/<slug>/build-<id>/ folder
+// With gameId the folder comes from that game's slug and its play_url is switched to the new build;
+// without it (build uploaded before the game is created) slug or name picks a folder no other game uses
+const extractGameZip = async (file, req) => {
+  const { gameId } = req.body;
+  const games = await getAllGames();
+  let folder;
+
+  if (gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) {
+      throw createHttpError(404, `Game ${gameId} not found`);
+    }
+    folder = toGameSlug(game.slug || game.name || game.id);
+  } else {
+    folder = toGameSlug(req.body.slug || req.body.name || file.originalname);
+  }
+
+  const owner = folder && findBuildFolderOwner(games, folder, gameId);
+  if (owner) {
+    throw folderTakenError(folder, owner);
+  }
+
+  const build = await extractGameArchive(file.buffer, folder);
+
+  if (gameId) {
+    await mutateGameData((gameData) => {
+      const game = gameData.games.find(g => g.id === gameId);
+      if (!game) {
+        throw createHttpError(404, `Game ${gameId} not found`);
+      }
+      const newOwner = findBuildFolderOwner(gameData.games, folder, gameId);
+      if (newOwner) {
+        throw folderTakenError(folder, newOwner);
+      }
+      game.play_url = build.play_url;
+    }, { author: req.user.email, reason: `upload build for ${gameId}` });
+  }
+
+  return {
+    filename: build.entry,
+    originalName: file.originalname,
+    size: file.size,
+    mimetype: file.mimetype,
+    path: build.path,
+    url: build.play_url,
+    s3Key: `${build.prefix}/${build.entry}`,
+    s3Prefix: build.prefix,
+    slug: build.slug,
+    fileCount: build.fileCount,
+    totalSize: build.totalSize,
+    play_url: build.play_url
+  };
+};
+
 // Upload multiple files to S3
 router.post('/files', authenticateSession, upload.fields([
   { name: 'gif', maxCount: 1 },
@@ -71,13 +142,17 @@ router.post('/files', authenticateSession, upload.fields([
     // Process each uploaded file
     for (const [fieldName, files] of Object.entries(req.files)) {
       const file = files[0];
-      const folder = getS3Folder(fieldName, file.mimetype);
       
-      // Preserve original name for ZIP files (HTML games)
-      const preserveOriginalName = fieldName === 'htmlZip' || file.mimetype.includes('zip');
+      // HTML5 game builds are unpacked rather than stored as one archive
+      if (isZipUpload(fieldName, file.mimetype)) {
+        uploadedFiles[fieldName] = await extractGameZip(file, req);
+        continue;
+      }
+      
+      const folder = getS3Folder(fieldName, file.mimetype);
       
       // Upload to S3
-      const s3Result = await uploadFileToS3(file, folder, preserveOriginalName);
+      const s3Result = await uploadFileToS3(file, folder);
       
       uploadedFiles[fieldName] = {
         filename: s3Result.key.split('/').pop(),
@@ -110,10 +185,17 @@ router.post('/file', authenticateSession, upload.single('file'), async (req, res
       });
     }
 
+    // HTML5 game builds are unpacked rather than stored as one archive
+    if (isZipUpload(req.file.fieldname, req.file.mimetype)) {
+      return res.json({
+        success: true,
+        message: 'Game archive extracted successfully to S3',
+        data: await extractGameZip(req.file, req)
+      });
+    }
+
     const folder = getS3Folder(req.file.fieldname, req.file.mimetype);
-    // Preserve original name for ZIP files (HTML games)
-    const preserveOriginalName = req.file.fieldname === 'htmlZip' || req.file.mimetype.includes('zip');
-    const s3Result = await uploadFileToS3(req.file, folder, preserveOriginalName);
+    const s3Result = await uploadFileToS3(req.file, folder);
 
     res.json({
       success: true,
@@ -4,19 +4,51 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import session from 'express-session';
 import dotenv from 'dotenv';
+import path from 'path';
 import authRoutes from './routes/auth.js';
 import gameRoutes from './routes/games.js';
+import gameHistoryRoutes from './routes/gameHistory.js';
+import gameTrashRoutes from './routes/gameTrash.js';
+import categoryRoutes from './routes/categories.js';
+import tagRoutes from './routes/tags.js';
+import collectionRoutes from './routes/collections.js';
 import uploadRoutes from './routes/upload.js';
+import assetRoutes from './routes/assets.js';
+import schemaRoutes from './routes/schema.js';
+import seoRoutes from './routes/seo.js';
+import embedRoutes from './routes/embed.js';
 import userRoutes from './routes/users.js';
 import siteSettingsRoutes from './routes/siteSettings.js';
-import rankingRoutes from './routes/ranking.js';
+import rankingRoutes, { rankingService } from './routes/ranking.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { getStorageDriver, getLocalStorageRoot, readLocalContentType } from './utils/storage/index.js';
+import { getReadCacheStats } from './utils/storage/readCache.js';
+import { startTrashPurge, stopTrashPurge } from './utils/gameTrash.js';
+import { startSeoPublishing, stopSeoPublishing } from './utils/seo.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const storageDriver = getStorageDriver();
+
+// Serve objects from the local storage driver under the same /public/... paths as the bucket.
+// Mounted ahead of helmet so uploaded HTML5 builds load the same way they would from S3/CloudFront.
+if (storageDriver.name === 'local') {
+  app.use('/public', async (req, res, next) => {
+    // The type the object was uploaded with wins over the one guessed from the extension
+    try {
+      const contentType = await readLocalContentType(`public${decodeURIComponent(req.path)}`);
+      if (contentType) {
+        res.type(contentType);
+      }
+    } catch {
+      // Malformed paths are left to express.static
+    }
+    next();
+  }, express.static(path.join(getLocalStorageRoot(), 'public')));
+}
 
 // Middleware
 app.use(helmet({
@@ -47,13 +79,13 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
   exposedHeaders: ['set-cookie']
 }));
 
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // Validate required session secret
@@ -94,11 +126,20 @@ app.use(session(sessionConfig));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/games/history', gameHistoryRoutes); // before /api/games so it isn't read as a game id
+app.use('/api/games/trash', gameTrashRoutes);
 app.use('/api/games', gameRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/collections', collectionRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/schema', schemaRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/site-settings', siteSettingsRoutes);
 app.use('/api/ranking', rankingRoutes);
+app.use('/', seoRoutes); // /sitemap.xml, /feed.rss, /feed.atom
+app.use('/', embedRoutes); // /oembed, /embed/:gameId
 
 // Health check - shows configuration status
 app.get('/api/health', (req, res) => {
@@ -108,25 +149,58 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: NODE_ENV,
     configuration: {
+      storageDriver: storageDriver.name,
       s3Configured: !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_S3_BUCKET),
       cloudFrontConfigured: !!process.env.CLOUDFRONT_URL,
       rootUser: process.env.ROOT_USERNAME || 'Not configured',
       allowedOrigins: allowedOrigins,
       sessionDomain: process.env.SESSION_DOMAIN || 'default'
-    }
+    },
+    readCache: getReadCacheStats()
   });
 });
 
 // Error handling
 app.use(errorHandler);
 
-app.listen(PORT, () => {
+// Buffered play counts: replay any journal before taking requests, so plays recorded
+// at startup aren't mixed into the replay; what's pending is written before exiting
+try {
+  await rankingService.startPlayTracking();
+} catch (error) {
+  console.error('❌ Failed to start play tracking:', error.message);
+}
+
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📝 Environment: ${NODE_ENV}`);
   console.log(`🔐 Root User: ${process.env.ROOT_USERNAME || 'Not configured'}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'Not configured'}`);
   console.log(`🔒 Session Domain: ${process.env.SESSION_DOMAIN || 'default'}`);
+  console.log(`🗄️  Storage: ${storageDriver.name === 'local' ? getLocalStorageRoot() : 's3'}`);
   console.log(`☁️  S3 Bucket: ${process.env.AWS_S3_BUCKET || 'Not configured'}`);
   console.log(`🌐 CloudFront: ${process.env.CLOUDFRONT_URL || 'Not configured'}`);
   console.log(`🎯 Allowed Origins: ${allowedOrigins.length > 0 ? allowedOrigins.join(', ') : 'All origins allowed'}`);
-});
\ No newline at end of file
+});
+
+// Deleted games past their retention period are purged with their assets
+startTrashPurge();
+
+// sitemap.xml and feeds are written to storage again whenever the catalog or site settings change
+startSeoPublishing();
+
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, flushing pending plays...`);
+  try {
+    await rankingService.stopPlayTracking();
+  } catch (error) {
+    console.error('❌ Failed to flush pending plays:', error.message);
+  }
+  stopTrashPurge();
+  stopSeoPublishing();
+  server.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
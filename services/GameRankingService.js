@@ -9,56 +9,132 @@
  * - Dependency Inversion: Depends on abstractions, not concretions
  */
 
+import PlayCountBuffer from './PlayCountBuffer.js';
+import { matchesTags } from '../utils/gameTags.js';
+import { filterLiveGames } from '../utils/gameSchedule.js';
+
+// Ids of the latest play flushes kept in game-data.json, so an interrupted flush isn't applied twice
+const RECENT_PLAY_FLUSHES = 20;
+
 class GameRankingService {
   constructor(s3Manager) {
     this.s3Manager = s3Manager;
     this.rankingAlgorithm = 'playCount'; // Can be extended to support different algorithms
+    this.playBuffer = null;
   }
 
   /**
-   * Track a game play and update rankings
+   * Track a game play. Plays are buffered and written in batches by flushPlays().
    * @param {string} gameId - The ID of the game that was played
-   * @returns {Promise<Object>} Updated game data with new rankings
+   * @returns {Object} Pending play counts for the game and overall
+   */
+  trackGamePlay(gameId) {
+    const { pendingPlays, totalPending } = this.getPlayBuffer().record(gameId);
+
+    return {
+      success: true,
+      gameId,
+      pendingPlays,
+      totalPending
+    };
+  }
+
+  /**
+   * Get the play buffer, creating it on first use (reads config after dotenv has loaded)
+   * @returns {PlayCountBuffer} Buffer collecting plays for this service
+   */
+  getPlayBuffer() {
+    if (!this.playBuffer) {
+      this.playBuffer = new PlayCountBuffer({
+        applyPlays: (plays, flushId) => this.applyPlayCounts(plays, flushId),
+        isFlushApplied: (flushId) => this.isPlayFlushApplied(flushId),
+        flushIntervalMs: parseInt(process.env.PLAY_FLUSH_INTERVAL_MS) || 30 * 1000,
+        flushThreshold: parseInt(process.env.PLAY_FLUSH_THRESHOLD) || 100,
+        journalPath: process.env.PLAY_JOURNAL_FILE
+      });
+      this.playBuffer.start().catch(error => console.error('❌ Error starting play tracking:', error));
+    }
+    return this.playBuffer;
+  }
+
+  /**
+   * Start play tracking (replays the journal if one is configured)
+   * @returns {Promise<void>}
+   */
+  async startPlayTracking() {
+    await this.getPlayBuffer().start();
+  }
+
+  /**
+   * Write buffered plays to game data now
+   * @returns {Promise<number>} Number of plays flushed
    */
-  async trackGamePlay(gameId) {
+  async flushPlays() {
+    return this.playBuffer ? this.playBuffer.flush() : 0;
+  }
+
+  /**
+   * Stop the flush timer and write any remaining plays (called on shutdown)
+   * @returns {Promise<number>} Number of plays flushed
+   */
+  async stopPlayTracking() {
+    return this.playBuffer ? this.playBuffer.stop() : 0;
+  }
+
+  /**
+   * Whether a play flush was written to game data (checked for flushes interrupted by a crash)
+   * @param {string} flushId - Id passed to applyPlayCounts
+   * @returns {Promise<boolean>}
+   */
+  async isPlayFlushApplied(flushId) {
+    const gameData = await this.s3Manager.getGameDataFromS3();
+    return Array.isArray(gameData.playFlushes) && gameData.playFlushes.includes(flushId);
+  }
+
+  /**
+   * Apply a batch of buffered plays and recalculate rankings once
+   * @param {Map} plays - gameId -> { count, lastPlayed }
+   * @param {string} [flushId] - Recorded with the counts so the same flush is never applied twice
+   * @returns {Promise<void>}
+   */
+  async applyPlayCounts(plays, flushId) {
     try {
-      console.log(`🎮 Tracking play for game: ${gameId}`);
+      console.log(`🎮 Applying plays for ${plays.size} games`);
       
-      // Get current game data
-      const gameData = await this.s3Manager.getGameDataFromS3();
-      const games = gameData.games || [];
-      
-      // Find the game
-      const gameIndex = games.findIndex(game => game.id === gameId);
-      if (gameIndex === -1) {
-        throw new Error(`Game with ID ${gameId} not found`);
-      }
+      await this.s3Manager.mutateGameData((gameData) => {
+        const games = gameData.games || [];
+        const knownIds = new Set();
 
-      // Update play count and last played timestamp
-      const game = games[gameIndex];
-      game.playCount = (game.playCount || 0) + 1;
-      game.lastPlayed = new Date().toISOString();
-      
-      // Recalculate rankings for all games
-      const rankedGames = this.calculateRankings(games);
-      
-      // Update the game data
-      const updatedGameData = { ...gameData, games: rankedGames };
-      
-      // Save to S3
-      await this.s3Manager.updateGameDataInS3(updatedGameData);
-      
-      console.log(`✅ Game play tracked. New play count: ${game.playCount}`);
-      
-      return {
-        success: true,
-        game: game,
-        totalPlays: game.playCount,
-        rank: game.rank
-      };
+        games.forEach(game => {
+          const play = plays.get(game.id);
+          if (!play) {
+            return;
+          }
+          knownIds.add(game.id);
+          game.playCount = (game.playCount || 0) + play.count;
+          if (!game.lastPlayed || play.lastPlayed > game.lastPlayed) {
+            game.lastPlayed = play.lastPlayed;
+          }
+        });
+
+        for (const gameId of plays.keys()) {
+          if (!knownIds.has(gameId)) {
+            console.warn(`⚠️ Dropping plays for unknown game: ${gameId}`);
+          }
+        }
+        
+        const playFlushes = Array.isArray(gameData.playFlushes) ? gameData.playFlushes : [];
+
+        // Recalculate rankings for all games
+        return {
+          ...gameData,
+          games: this.calculateRankings(games),
+          ...(flushId && { playFlushes: [...playFlushes, flushId].slice(-RECENT_PLAY_FLUSHES) })
+        };
+      }, { author: 'play-tracker', snapshot: false }); // play counters only, don't crowd out history
     } catch (error) {
-      console.error('❌ Error tracking game play:', error);
-      throw new Error(`Failed to track game play: ${error.message}`);
+      console.error('❌ Error applying game plays:', error);
+      throw new Error(`Failed to apply game plays: ${error.message}`);
     }
   }
 
@@ -107,16 +183,20 @@ class GameRankingService {
    * Get top N games by rank
    * @param {number} limit - Number of top games to return
    * @param {boolean} activeOnly - Whether to include only active games
+   * @param {Object} filters - { tags, tagMatch } only games with any/all of the tags
    * @returns {Promise<Array>} Top ranked games
    */
-  async getTopGames(limit = 5, activeOnly = true) {
+  async getTopGames(limit = 5, activeOnly = true, filters = {}) {
     try {
       const gameData = await this.s3Manager.getGameDataFromS3();
-      let games = gameData.games || [];
+      // Drafts, scheduled and expired games never appear in the public top list
+      let games = filterLiveGames(gameData.games || []);
       
       if (activeOnly) {
         games = games.filter(game => game.isActive !== false);
       }
+
+      games = games.filter(game => matchesTags(game, filters.tags, filters.tagMatch));
       
       // Sort by rank (ascending)
       games.sort((a, b) => (a.rank || 999) - (b.rank || 999));
@@ -135,14 +215,16 @@ class GameRankingService {
    */
   async getAllRankedGames(options = {}) {
     try {
-      const { activeOnly = false, sortBy = 'rank', sortOrder = 'asc' } = options;
+      const { activeOnly = false, sortBy = 'rank', sortOrder = 'asc', tags = [], tagMatch = 'any', includeUnpublished = false } = options;
       
       const gameData = await this.s3Manager.getGameDataFromS3();
-      let games = gameData.games || [];
+      let games = includeUnpublished ? gameData.games || [] : filterLiveGames(gameData.games || []);
       
       if (activeOnly) {
         games = games.filter(game => game.isActive !== false);
       }
+
+      games = games.filter(game => matchesTags(game, tags, tagMatch));
       
       // Sort games
       games.sort((a, b) => {
@@ -188,38 +270,39 @@ class GameRankingService {
    * Update game status (active/inactive)
    * @param {string} gameId - Game ID to update
    * @param {boolean} isActive - New active status
+   * @param {string} author - Who made the change (recorded in history)
    * @returns {Promise<Object>} Updated game data
    */
-  async updateGameStatus(gameId, isActive) {
+  async updateGameStatus(gameId, isActive, author) {
     try {
       console.log(`🔄 Updating game status: ${gameId} -> ${isActive ? 'active' : 'inactive'}`);
       
-      const gameData = await this.s3Manager.getGameDataFromS3();
-      const games = gameData.games || [];
-      
-      const gameIndex = games.findIndex(game => game.id === gameId);
-      if (gameIndex === -1) {
-        throw new Error(`Game with ID ${gameId} not found`);
-      }
+      let game;
 
-      // Update game status
-      games[gameIndex].isActive = isActive;
-      games[gameIndex].statusUpdatedAt = new Date().toISOString();
-      
-      // Recalculate rankings
-      const rankedGames = this.calculateRankings(games);
-      
-      // Update the game data
-      const updatedGameData = { ...gameData, games: rankedGames };
-      
-      // Save to S3
-      await this.s3Manager.updateGameDataInS3(updatedGameData);
+      await this.s3Manager.mutateGameData((gameData) => {
+        const games = gameData.games || [];
+        
+        const gameIndex = games.findIndex(game => game.id === gameId);
+        if (gameIndex === -1) {
+          throw new Error(`Game with ID ${gameId} not found`);
+        }
+
+        // Update game status
+        game = games[gameIndex];
+        game.isActive = isActive;
+        game.statusUpdatedAt = new Date().toISOString();
+        
+        // Recalculate rankings
+        const rankedGames = this.calculateRankings(games);
+        
+        return { ...gameData, games: rankedGames };
+      }, { author, reason: `${isActive ? 'activate' : 'deactivate'} game ${gameId}` });
       
       console.log(`✅ Game status updated successfully`);
       
       return {
         success: true,
-        game: games[gameIndex],
+        game,
         message: `Game ${isActive ? 'activated' : 'deactivated'} successfully`
       };
     } catch (error) {
@@ -232,39 +315,40 @@ class GameRankingService {
    * Manually set game rank (admin override)
    * @param {string} gameId - Game ID to update
    * @param {number} newRank - New rank to assign
+   * @param {string} author - Who made the change (recorded in history)
    * @returns {Promise<Object>} Updated game data
    */
-  async setGameRank(gameId, newRank) {
+  async setGameRank(gameId, newRank, author) {
     try {
       console.log(`🎯 Setting manual rank for game: ${gameId} -> ${newRank}`);
       
-      const gameData = await this.s3Manager.getGameDataFromS3();
-      const games = gameData.games || [];
-      
-      const gameIndex = games.findIndex(game => game.id === gameId);
-      if (gameIndex === -1) {
-        throw new Error(`Game with ID ${gameId} not found`);
-      }
+      let game;
 
-      // Set manual rank
-      games[gameIndex].manualRank = newRank;
-      games[gameIndex].rank = newRank;
-      games[gameIndex].rankUpdatedAt = new Date().toISOString();
-      
-      // Recalculate other games' ranks to avoid conflicts
-      const rankedGames = this.calculateRankingsWithManualOverrides(games);
-      
-      // Update the game data
-      const updatedGameData = { ...gameData, games: rankedGames };
-      
-      // Save to S3
-      await this.s3Manager.updateGameDataInS3(updatedGameData);
+      await this.s3Manager.mutateGameData((gameData) => {
+        const games = gameData.games || [];
+        
+        const gameIndex = games.findIndex(game => game.id === gameId);
+        if (gameIndex === -1) {
+          throw new Error(`Game with ID ${gameId} not found`);
+        }
+
+        // Set manual rank
+        game = games[gameIndex];
+        game.manualRank = newRank;
+        game.rank = newRank;
+        game.rankUpdatedAt = new Date().toISOString();
+        
+        // Recalculate other games' ranks to avoid conflicts
+        const rankedGames = this.calculateRankingsWithManualOverrides(games);
+        
+        return { ...gameData, games: rankedGames };
+      }, { author, reason: `set rank of ${gameId} to ${newRank}` });
       
       console.log(`✅ Manual rank set successfully`);
       
       return {
         success: true,
-        game: games[gameIndex],
+        game,
         message: `Game rank set to ${newRank}`
       };
     } catch (error) {
@@ -0,0 +1,253 @@
+/**
+ * Play Count Buffer - Collects game plays in memory and writes them in batches
+ *
+ * Plays are flushed on an interval, when the number of pending plays reaches a threshold,
+ * and on shutdown. When a journal file is configured every play is also appended to it,
+ * so plays recorded since the last flush survive a crash; the journal is replayed on start.
+ *
+ * Each flush has an id that applyPlays stores with the counts. A flush interrupted after its write
+ * but before its journal was removed is recognised by that id on start and not counted twice.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+class PlayCountBuffer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.applyPlays - async (Map<gameId, { count, lastPlayed }>, flushId) => void
+   * @param {Function} [options.isFlushApplied] - async (flushId) => boolean, whether applyPlays stored that flush
+   * @param {number} options.flushIntervalMs - Flush pending plays at least this often
+   * @param {number} options.flushThreshold - Flush as soon as this many plays are pending
+   * @param {string} [options.journalPath] - Optional append-only journal file
+   */
+  constructor({ applyPlays, isFlushApplied, flushIntervalMs, flushThreshold, journalPath }) {
+    this.applyPlays = applyPlays;
+    this.isFlushApplied = isFlushApplied || (async () => false);
+    this.flushIntervalMs = flushIntervalMs;
+    this.flushThreshold = flushThreshold;
+    this.journalPath = journalPath || null;
+    this.pending = new Map();
+    this.totalPending = 0;
+    this.timer = null;
+    this.flushing = null;
+    this.starting = null;
+    this.journalWrite = Promise.resolve();
+  }
+
+  /**
+   * Replay any journaled plays and start the flush timer
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.startTimerAndReplay();
+    }
+    return this.starting;
+  }
+
+  async startTimerAndReplay() {
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('❌ Scheduled play flush failed:', error.message));
+    }, this.flushIntervalMs);
+    // Don't keep scripts alive just for the timer
+    this.timer.unref();
+
+    if (this.journalPath) {
+      await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+      const replayed = await this.replayInterruptedFlush() + await this.replayJournal(this.journalPath);
+
+      if (replayed > 0) {
+        console.log(`📒 Replayed ${replayed} unflushed plays from ${this.journalPath}`);
+        // Fold the in-flight journal back in so the next flush covers everything
+        await this.restoreFlushingJournal();
+      }
+    }
+  }
+
+  /**
+   * Record a single play
+   * @param {string} gameId - The ID of the game that was played
+   * @returns {Object} Pending plays for this game and in total
+   */
+  record(gameId) {
+    const playedAt = new Date().toISOString();
+    this.addPending(gameId, 1, playedAt);
+
+    if (this.journalPath) {
+      const line = JSON.stringify({ gameId, playedAt }) + '\n';
+      this.journalWrite = this.journalWrite
+        .then(() => fs.appendFile(this.journalPath, line))
+        .catch(error => console.error('❌ Failed to journal play:', error.message));
+    }
+
+    const result = {
+      pendingPlays: this.pending.get(gameId).count,
+      totalPending: this.totalPending
+    };
+
+    if (this.totalPending >= this.flushThreshold) {
+      this.flush().catch(error => console.error('❌ Threshold play flush failed:', error.message));
+    }
+
+    return result;
+  }
+
+  /**
+   * Write all pending plays through applyPlays. Plays recorded while a flush is running
+   * are kept for the next one; if the write fails the batch is put back.
+   * @returns {Promise<number>} Number of plays flushed
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing.catch(() => {});
+    }
+    if (this.totalPending === 0) {
+      return 0;
+    }
+
+    this.flushing = this.flushPending();
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Stop the timer and flush whatever is still pending
+   * @returns {Promise<number>} Number of plays flushed
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.flush();
+  }
+
+  async flushPending() {
+    const batch = this.pending;
+    const batchSize = this.totalPending;
+    const flushId = crypto.randomUUID();
+    this.pending = new Map();
+    this.totalPending = 0;
+
+    // Plays arriving from now on go to a fresh journal (queued behind appends already in flight)
+    if (this.journalPath) {
+      this.journalWrite = this.journalWrite
+        .then(() => fs.rename(this.journalPath, `${this.journalPath}.flushing`))
+        .catch(() => {});
+      await this.journalWrite;
+      await fs.writeFile(`${this.journalPath}.flushing.id`, flushId);
+    }
+
+    try {
+      await this.applyPlays(batch, flushId);
+    } catch (error) {
+      for (const [gameId, { count, lastPlayed }] of batch) {
+        this.addPending(gameId, count, lastPlayed);
+      }
+      if (this.journalPath) {
+        await this.restoreFlushingJournal();
+      }
+      throw error;
+    }
+
+    if (this.journalPath) {
+      await fs.rm(`${this.journalPath}.flushing`, { force: true });
+      await fs.rm(`${this.journalPath}.flushing.id`, { force: true });
+    }
+
+    console.log(`✅ Flushed ${batchSize} plays for ${batch.size} games`);
+    return batchSize;
+  }
+
+  addPending(gameId, count, lastPlayed) {
+    const entry = this.pending.get(gameId) || { count: 0, lastPlayed: null };
+    entry.count += count;
+    if (!entry.lastPlayed || lastPlayed > entry.lastPlayed) {
+      entry.lastPlayed = lastPlayed;
+    }
+    this.pending.set(gameId, entry);
+    this.totalPending += count;
+  }
+
+  async replayJournal(filePath) {
+    let contents;
+    try {
+      contents = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let replayed = 0;
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const { gameId, playedAt } = JSON.parse(line);
+        this.addPending(gameId, 1, playedAt);
+        replayed++;
+      } catch {
+        console.warn('⚠️ Skipping unreadable play journal entry:', line);
+      }
+    }
+    return replayed;
+  }
+
+  // Replay the journal of a flush the process didn't finish, unless its write already landed
+  async replayInterruptedFlush() {
+    const flushingPath = `${this.journalPath}.flushing`;
+    let flushId = null;
+    try {
+      flushId = (await fs.readFile(`${flushingPath}.id`, 'utf-8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    let applied = false;
+    if (flushId) {
+      try {
+        applied = await this.isFlushApplied(flushId);
+      } catch (error) {
+        // Counting twice beats losing the plays
+        console.error('❌ Could not check for an interrupted play flush, replaying it:', error.message);
+      }
+    }
+
+    if (applied) {
+      console.log(`📒 Play flush ${flushId} was already written, discarding its journal`);
+      await fs.rm(flushingPath, { force: true });
+      await fs.rm(`${flushingPath}.id`, { force: true });
+      return 0;
+    }
+    return this.replayJournal(flushingPath);
+  }
+
+  // Append the journal of a failed (or interrupted) flush back onto the live journal
+  async restoreFlushingJournal() {
+    const flushingPath = `${this.journalPath}.flushing`;
+    try {
+      const contents = await fs.readFile(flushingPath, 'utf-8');
+      await this.journalWrite;
+      await fs.appendFile(this.journalPath, contents);
+      await fs.rm(flushingPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    // The plays now belong to whichever flush picks up the live journal next
+    await fs.rm(`${flushingPath}.id`, { force: true });
+  }
+}
+
+export default PlayCountBuffer;
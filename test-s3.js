@@ -1,5 +1,6 @@
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
 import dotenv from 'dotenv';
+import { getS3Client } from './utils/storage/s3Driver.js';
 
 dotenv.config();
 
@@ -8,14 +9,9 @@ console.log('AWS_REGION:', process.env.AWS_REGION);
 console.log('AWS_ACCESS_KEY_ID:', process.env.AWS_ACCESS_KEY_ID?.substring(0, 8) + '...');
 console.log('AWS_SECRET_ACCESS_KEY:', process.env.AWS_SECRET_ACCESS_KEY?.substring(0, 8) + '...');
 console.log('AWS_S3_BUCKET:', process.env.AWS_S3_BUCKET);
+console.log('AWS_S3_ENDPOINT:', process.env.AWS_S3_ENDPOINT || 'default (AWS)');
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'us-east-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  }
-});
+const s3Client = getS3Client();
 
 async function testS3() {
   try {
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { useTempStorage, fileExists } from './helpers.js';
+import { getStorageDriver } from '../utils/storage/index.js';
+import { readGameArchive, extractGameArchive } from '../utils/gameArchive.js';
+
+const buildZip = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Rename an entry after the fact; adm-zip cleans up names passed to addFile
+const withEntryName = (buffer, from, to) => {
+  const zip = new AdmZip(buffer);
+  zip.getEntry(from).entryName = to;
+  return zip.toBuffer();
+};
+
+// Overwrite the uncompressed size in every local and central header, the way a ZIP bomb lies about it
+const withDeclaredSize = (buffer, size) => {
+  const patched = Buffer.from(buffer);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      patched.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      patched.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return patched;
+};
+
+describe('game archives', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  it('extracts every file to its own build folder', async () => {
+    const buffer = buildZip({ 'index.html': '<html></html>', 'js/app.js': 'run()', '__MACOSX/._index.html': 'junk' });
+
+    const result = await extractGameArchive(buffer, 'block');
+
+    assert.match(result.prefix, /^public\/games\/block\/build-[a-z0-9]+$/);
+    assert.equal(result.entry, 'index.html');
+    assert.equal(result.fileCount, 2);
+    assert.equal(result.path, `/${result.prefix}/index.html`);
+    assert.equal((await getStorageDriver().getObject(`${result.prefix}/js/app.js`)).body.toString('utf-8'), 'run()');
+    assert.equal(await fileExists(`${result.prefix}/__MACOSX/._index.html`), false);
+  });
+
+  it('strips a single wrapping folder', () => {
+    const { files, entry } = readGameArchive(buildZip({ 'my-game/index.html': '<html></html>', 'my-game/css/site.css': 'a{}' }));
+
+    assert.equal(entry, 'index.html');
+    assert.deepEqual(files.map(file => file.path).sort(), ['css/site.css', 'index.html']);
+    assert.equal(files.find(file => file.path === 'css/site.css').contentType, 'text/css');
+  });
+
+  it('rejects paths that leave the game folder', () => {
+    const buffer = buildZip({ 'index.html': '<html></html>', 'evil.js': 'x' });
+
+    ['../evil.js', 'js/../../evil.js', '/etc/evil.js', 'C:/evil.js', 'js\\..\\evil.js'].forEach(name => {
+      assert.throws(() => readGameArchive(withEntryName(buffer, 'evil.js', name)), { status: 400, message: /unsafe path/ });
+    });
+  });
+
+  it('rejects archives over the size limit before inflating them', (t) => {
+    t.after(() => delete process.env.GAME_ZIP_MAX_TOTAL_SIZE);
+    process.env.GAME_ZIP_MAX_TOTAL_SIZE = '1000';
+
+    assert.throws(() => readGameArchive(buildZip({ 'index.html': 'a'.repeat(2000) })), { status: 400, message: /exceeds the limit/ });
+  });
+
+  it('stops inflating an entry at its declared size', () => {
+    const buffer = withDeclaredSize(buildZip({ 'index.html': 'a'.repeat(100000) }), 0);
+
+    assert.throws(() => readGameArchive(buffer), { status: 400, message: /larger than its declared size/ });
+  });
+
+  it('requires an entry HTML file at the top level', () => {
+    assert.throws(() => readGameArchive(buildZip({ 'a/index.html': '', 'b/app.js': '' })), { status: 400, message: /no entry HTML/ });
+  });
+});
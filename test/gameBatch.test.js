@@ -0,0 +1,132 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, clearStorage, seedGameData, addGames, readStored } from './helpers.js';
+import { getStorageDriver, setStorageDriver } from '../utils/storage/index.js';
+import { validationResult } from 'express-validator';
+import { runGameBatch } from '../utils/gameBatch.js';
+import { validateGameBatch } from '../middleware/validateGame.js';
+import { listTrashedGames } from '../utils/gameTrash.js';
+import { listGameDataSnapshots } from '../utils/gameHistory.js';
+import GameRankingService from '../services/GameRankingService.js';
+
+const GAME_DATA_KEY = 'public/game-data.json';
+
+const rankingService = new GameRankingService(null);
+
+const game = (id, rank) => ({ id, name: id, slug: id, category: 'puzzle', categories: [], playCount: 10 - rank, rank, isActive: true });
+
+const runBatch = (operations, options = {}) => runGameBatch(operations, { author: 'editor', rankingService, ...options });
+
+describe('game batch', () => {
+  let removeStorage;
+  let seeded;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    await seedGameData({
+      games: [game('a', 1), game('b', 2), game('c', 3)],
+      categories: [{ id: 'puzzle', name: 'Puzzle' }, { id: 'racing', name: 'Racing' }]
+    });
+    seeded = await readStored(GAME_DATA_KEY);
+  });
+
+  it('applies every operation in one write', async () => {
+    const report = await runBatch([
+      { op: 'deactivate', gameId: 'a' },
+      { op: 'changeCategory', gameId: 'b', category: 'racing' },
+      { op: 'delete', gameId: 'c' }
+    ]);
+
+    assert.equal(report.applied, true);
+    assert.deepEqual(report.summary, { total: 3, succeeded: 3, failed: 0 });
+
+    const stored = await readStored(GAME_DATA_KEY);
+    assert.deepEqual(stored.games.map(g => g.id), ['a', 'b']);
+    assert.equal(stored.games.find(g => g.id === 'a').isActive, false);
+    assert.equal(stored.games.find(g => g.id === 'b').category, 'racing');
+    assert.deepEqual((await listTrashedGames()).map(item => item.game.id), ['c']);
+  });
+
+  it('records a catalog built through the app as one history snapshot', async () => {
+    await clearStorage();
+    await addGames([game('a', 1), game('b', 2)], [{ id: 'puzzle', name: 'Puzzle' }]);
+
+    await runBatch([{ op: 'pin', gameId: 'b', rank: 1 }, { op: 'delete', gameId: 'a' }]);
+
+    const stored = await readStored(GAME_DATA_KEY);
+    assert.deepEqual(stored.games.map(({ id, rank, manualRank }) => ({ id, rank, manualRank })), [{ id: 'b', rank: 1, manualRank: 1 }]);
+    assert.deepEqual((await listGameDataSnapshots()).map(entry => entry.reason), ['batch of 2 operations', 'add games']);
+    assert.deepEqual((await listTrashedGames()).map(item => item.game.id), ['a']);
+  });
+
+  it('writes nothing when any operation fails', async () => {
+    const report = await runBatch([
+      { op: 'deactivate', gameId: 'a' },
+      { op: 'delete', gameId: 'b' },
+      { op: 'changeCategory', gameId: 'c', category: 'missing' },
+      { op: 'setRank', gameId: 'nope', rank: 1 }
+    ]);
+
+    assert.equal(report.applied, false);
+    assert.deepEqual(report.summary, { total: 4, succeeded: 2, failed: 2 });
+    assert.deepEqual(report.results.filter(result => !result.success).map(result => result.status), [400, 404]);
+    assert.deepEqual(await readStored(GAME_DATA_KEY), seeded);
+    assert.deepEqual(await listTrashedGames(), []);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const report = await runBatch([{ op: 'delete', gameId: 'a' }, { op: 'setRank', gameId: 'c', rank: 1 }], { dryRun: true });
+
+    assert.equal(report.applied, false);
+    assert.equal(report.summary.failed, 0);
+    assert.deepEqual(await readStored(GAME_DATA_KEY), seeded);
+    assert.deepEqual(await listTrashedGames(), []);
+  });
+
+  it('puts the games back when the trash cannot be written', async () => {
+    const driver = getStorageDriver();
+    setStorageDriver({
+      ...driver,
+      putObject: (key, ...args) => (key.startsWith('trash/')
+        ? Promise.reject(new Error('trash unavailable'))
+        : driver.putObject(key, ...args))
+    });
+
+    try {
+      await assert.rejects(runBatch([
+        { op: 'pin', gameId: 'c', rank: 1 },
+        { op: 'delete', gameId: 'a' }
+      ]), /Failed to update game trash/);
+    } finally {
+      setStorageDriver(driver);
+    }
+
+    const stored = await readStored(GAME_DATA_KEY);
+    assert.deepEqual(stored.games.map(g => g.id).sort(), ['a', 'b', 'c']);
+    assert.deepEqual(stored.games.map(({ id, rank, manualRank }) => ({ id, rank, manualRank })), seeded.games.map(({ id, rank }) => ({ id, rank, manualRank: undefined })));
+    assert.deepEqual(await listTrashedGames(), []);
+  });
+});
+
+describe('game batch validation', () => {
+  it('reports one message per invalid gameId', async () => {
+    const req = { body: { operations: [{ op: 'delete' }, { op: 'delete', gameId: 5 }, { op: 'delete', gameId: '' }, { op: 'delete', gameId: 'a' }] } };
+    // Every chain except the final handleValidationErrors
+    for (const chain of validateGameBatch.slice(0, -1)) {
+      await chain.run(req);
+    }
+
+    const errors = validationResult(req).array({ onlyFirstError: true }).map(error => [error.path, error.msg]);
+    assert.deepEqual(errors.sort(), [
+      ['operations[0].gameId', 'gameId is required'],
+      ['operations[1].gameId', 'gameId must be a string'],
+      ['operations[2].gameId', 'gameId is required']
+    ]);
+  });
+});
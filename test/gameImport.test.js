@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { planGameImport, csvRecordToRow, gameToCsvRecord, EXPORT_COLUMNS } from '../utils/gameImport.js';
+import GameRankingService from '../services/GameRankingService.js';
+
+const ranking = new GameRankingService(null);
+
+const importCsv = (gameData, csv) => planGameImport(gameData, parseCsv(csv).map(csvRecordToRow), {
+  author: 'editor',
+  initializeGame: (game) => ranking.initializeGameRanking(game)
+});
+
+const catalog = () => ({
+  games: [],
+  categories: [{ id: 'puzzle', name: 'Puzzle' }]
+});
+
+describe('game import and export', () => {
+  it('keeps translations through a CSV export and import', async () => {
+    const game = {
+      id: 'g1',
+      name: 'Block',
+      slug: 'block',
+      description: 'Stack "blocks", fast',
+      category: 'puzzle',
+      categories: ['puzzle'],
+      tags: ['stacking'],
+      translations: { fr: { name: 'Bloc', description: 'Empilez, vite' }, 'pt-br': { name: 'Bloco' } }
+    };
+    const csv = toCsv([gameToCsvRecord(game)], EXPORT_COLUMNS);
+    const gameData = catalog();
+
+    const report = await importCsv(gameData, csv);
+
+    assert.equal(report.summary.created, 1);
+    assert.deepEqual(gameData.games[0].translations, game.translations);
+    assert.equal(gameData.games[0].description, game.description);
+  });
+
+  it('rejects translations that PUT would reject', async () => {
+    const csv = 'id,name,category,translations\r\ng1,Block,puzzle,"{""FR"":{""name"":""Bloc""}}"\r\ng2,Other,puzzle,not json\r\n';
+    const gameData = catalog();
+
+    const report = await importCsv(gameData, csv);
+
+    assert.equal(report.summary.rejected, 2);
+    assert.deepEqual(report.rows.map(row => row.errors[0].field), ['translations', 'translations']);
+    assert.deepEqual(gameData.games, []);
+  });
+
+  it('keeps a free-text category without a record on update, but not on a new category', async () => {
+    const gameData = catalog();
+    gameData.games.push({ id: 'g1', name: 'Block', slug: 'block', category: 'Arcade', categories: ['Arcade'] });
+
+    const report = await importCsv(gameData, 'id,name,category\r\ng1,Blocks,Arcade\r\ng2,Other,Arcade\r\n');
+
+    assert.deepEqual(report.rows.map(row => row.action), ['update', 'reject']);
+    assert.equal(report.rows[1].errors[0].field, 'category');
+    assert.equal(gameData.games[0].name, 'Blocks');
+    assert.equal(gameData.games[0].category, 'Arcade');
+  });
+});
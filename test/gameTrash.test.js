@@ -0,0 +1,112 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, clearStorage, seedGameData, addGames, corruptDocument, putFile, fileExists } from './helpers.js';
+import {
+  buildTrashEntry,
+  addToTrash,
+  trashGame,
+  listTrashedGames,
+  purgeExpiredTrash,
+  purgeTrashedGame
+} from '../utils/gameTrash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const game = (id, fields = {}) => ({ id, name: id, slug: id, category: 'puzzle', ...fields });
+
+describe('trash purge', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    await seedGameData({
+      games: [game('live', { thumb_url: '/public/thumbnail/shared.png', play_url: 'games/live/build-b/' })],
+      categories: [{ id: 'puzzle', name: 'Puzzle' }]
+    });
+    await Promise.all([
+      'public/thumbnail/shared.png',
+      'public/thumbnail/gone.png',
+      'public/thumbnail/recent.png',
+      'public/games/gone/build-a/index.html',
+      'public/games/gone/build-a/js/app.js',
+      'public/games/live/build-b/index.html'
+    ].map(key => putFile(key)));
+  });
+
+  it('deletes the files of expired games that nothing else uses', async () => {
+    await addToTrash([
+      buildTrashEntry(game('gone', {
+        thumb_url: 'public/thumbnail/gone.png',
+        logo_url: '/public/thumbnail/shared.png',
+        play_url: 'games/gone/build-a/index.html'
+      }), 'editor', new Date(Date.now() - 60 * DAY_MS)),
+      buildTrashEntry(game('recent', { thumb_url: '/public/thumbnail/recent.png' }), 'editor')
+    ]);
+
+    const [result, ...others] = await purgeExpiredTrash();
+
+    assert.equal(others.length, 0);
+    assert.equal(result.id, 'gone');
+    assert.deepEqual(result.deletedAssets.sort(), [
+      'public/games/gone/build-a/index.html',
+      'public/games/gone/build-a/js/app.js',
+      'public/thumbnail/gone.png'
+    ]);
+    assert.deepEqual(result.keptAssets, ['public/thumbnail/shared.png']);
+
+    assert.equal(await fileExists('public/thumbnail/gone.png'), false);
+    assert.equal(await fileExists('public/games/gone/build-a/js/app.js'), false);
+    assert.equal(await fileExists('public/thumbnail/shared.png'), true);
+    assert.equal(await fileExists('public/games/live/build-b/index.html'), true);
+    assert.equal(await fileExists('public/thumbnail/recent.png'), true);
+    assert.deepEqual((await listTrashedGames()).map(item => item.game.id), ['recent']);
+  });
+
+  it('keeps files another trashed game still uses', async () => {
+    await addToTrash([
+      buildTrashEntry(game('gone', { thumb_url: '/public/thumbnail/gone.png' }), 'editor', new Date(Date.now() - 60 * DAY_MS)),
+      buildTrashEntry(game('recent', { thumb_url: 'thumbnail/gone.png' }), 'editor')
+    ]);
+
+    const [result] = await purgeExpiredTrash();
+
+    assert.deepEqual(result.deletedAssets, []);
+    assert.equal(await fileExists('public/thumbnail/gone.png'), true);
+  });
+
+  it('deletes the files of a game created and deleted through the catalog', async () => {
+    await putFile('public/thumbnail/made.png');
+    await addGames([game('made', { thumb_url: '/public/thumbnail/made.png' })]);
+    await trashGame('made', 'editor');
+
+    // The history snapshots of both writes still hold the game; they must not keep its files
+    const result = await purgeTrashedGame('made');
+
+    assert.deepEqual(result.deletedAssets, ['public/thumbnail/made.png']);
+    assert.equal(await fileExists('public/thumbnail/made.png'), false);
+  });
+
+  it('deletes no files when the catalog cannot be read', async () => {
+    await addToTrash([buildTrashEntry(game('gone', { logo_url: '/public/thumbnail/shared.png' }), 'editor', new Date(0))]);
+    await corruptDocument('public/game-data.json');
+
+    await assert.rejects(purgeExpiredTrash());
+    assert.equal(await fileExists('public/thumbnail/shared.png'), true);
+  });
+
+  it('purges a single game on request and 404s for unknown ones', async () => {
+    await addToTrash([buildTrashEntry(game('recent', { thumb_url: '/public/thumbnail/recent.png' }), 'editor')]);
+
+    const result = await purgeTrashedGame('recent');
+
+    assert.deepEqual(result.deletedAssets, ['public/thumbnail/recent.png']);
+    assert.deepEqual(await listTrashedGames(), []);
+    await assert.rejects(purgeTrashedGame('recent'), { status: 404 });
+  });
+});
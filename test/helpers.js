@@ -0,0 +1,62 @@
+import { mock } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeJsonDocument, readJsonDocument } from '../utils/storage/jsonDocuments.js';
+import { getLocalStorageRoot } from '../utils/storage/index.js';
+import { mutateGameData } from '../utils/s3Manager.js';
+
+/**
+ * Point the local storage driver at a fresh temp directory
+ * Storage settings are read lazily, so this works as long as it runs before the first storage call.
+ * Reads skip the cache so each test sees what the previous one wrote. Progress logging is muted:
+ * the runner reads results from stdout, and Node 20 can fail to parse them when logs are mixed in.
+ * @returns {Promise<Function>} Removes the directory
+ */
+export const useTempStorage = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'game-admin-server-test-'));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'local',
+    LOCAL_STORAGE_DIR: dir,
+    READ_CACHE_TTL_MS: '0'
+  });
+  mock.method(console, 'log', () => {});
+  return () => fs.rm(dir, { recursive: true, force: true });
+};
+
+// Empty the store between tests
+export const clearStorage = async () => {
+  const root = getLocalStorageRoot();
+  for (const entry of await fs.readdir(root)) {
+    await fs.rm(path.join(root, entry), { recursive: true, force: true });
+  }
+};
+
+// Write game-data.json directly: no history snapshot, no validation
+export const seedGameData = (gameData) => writeJsonDocument('public/game-data.json', gameData);
+
+// Add games the way the routes do, through mutateGameData (which also records history snapshots)
+export const addGames = (games, categories = []) => mutateGameData((gameData) => {
+  gameData.categories = [...(gameData.categories || []), ...categories];
+  gameData.games.push(...games);
+}, { author: 'editor', reason: 'add games' });
+
+// Replace a document with something that isn't JSON, so reading it fails
+export const corruptDocument = async (key) => {
+  const filePath = path.join(getLocalStorageRoot(), key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, '{"games": [');
+};
+
+export const readStored = async (key) => (await readJsonDocument(key)).data;
+
+// Write a file straight to the store, dated daysOld days back
+export const putFile = async (key, daysOld = 0) => {
+  const filePath = path.join(getLocalStorageRoot(), key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, key);
+  const time = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000);
+  await fs.utimes(filePath, time, time);
+};
+
+export const fileExists = (key) => fs.access(path.join(getLocalStorageRoot(), key)).then(() => true, () => false);
@@ -0,0 +1,127 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, clearStorage, readStored } from './helpers.js';
+import { S3Client } from '@aws-sdk/client-s3';
+import { getStorageDriver, setStorageDriver } from '../utils/storage/index.js';
+import { createS3Driver } from '../utils/storage/s3Driver.js';
+import { writeJsonDocument, mutateJsonDocument } from '../utils/storage/jsonDocuments.js';
+
+const KEY = 'public/counter.json';
+
+const increment = (options = {}) => mutateJsonDocument(KEY, {
+  normalize: (data) => data || { count: 0, by: [] },
+  mutator: (data) => ({ count: data.count + 1, by: [...data.by, options.by || 'this'] }),
+  label: 'counter',
+  ...options
+});
+
+// Another process writing the document between our read and our conditional write
+const withRacingWriter = async (races, run) => {
+  const driver = getStorageDriver();
+  let remaining = races;
+  setStorageDriver({
+    ...driver,
+    putObject: async (key, body, options = {}) => {
+      if (key === KEY && options.ifMatch && remaining > 0) {
+        remaining--;
+        const { body: stored } = await driver.getObject(KEY);
+        const data = JSON.parse(stored.toString('utf-8'));
+        await driver.putObject(KEY, JSON.stringify({ count: data.count + 1, by: [...data.by, 'other'] }));
+      }
+      return driver.putObject(key, body, options);
+    }
+  });
+
+  try {
+    return await run();
+  } finally {
+    setStorageDriver(driver);
+  }
+};
+
+describe('JSON document writes', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    delete process.env.STORAGE_WRITE_ATTEMPTS;
+  });
+
+  it('queues concurrent updates from this process so none is lost', async () => {
+    await Promise.all(Array.from({ length: 20 }, () => increment()));
+
+    assert.equal((await readStored(KEY)).count, 20);
+  });
+
+  it('re-runs the mutator on fresh data after losing a race', async () => {
+    await writeJsonDocument(KEY, { count: 0, by: [] });
+    let runs = 0;
+
+    await withRacingWriter(2, () => increment({
+      mutator: (data) => {
+        runs++;
+        return { count: data.count + 1, by: [...data.by, 'this'] };
+      }
+    }));
+
+    assert.equal(runs, 3);
+    assert.deepEqual(await readStored(KEY), { count: 3, by: ['other', 'other', 'this'] });
+  });
+
+  it('gives up with a 409 after STORAGE_WRITE_ATTEMPTS lost races', async () => {
+    process.env.STORAGE_WRITE_ATTEMPTS = '2';
+    await writeJsonDocument(KEY, { count: 0, by: [] });
+
+    await withRacingWriter(5, async () => {
+      await assert.rejects(increment(), { status: 409 });
+    });
+    assert.deepEqual(await readStored(KEY), { count: 2, by: ['other', 'other'] });
+  });
+
+  it('refuses conditional writes that no longer match', async () => {
+    const driver = getStorageDriver();
+    const { etag } = await driver.putObject(KEY, '{"count":1}');
+
+    await assert.rejects(driver.putObject(KEY, '{"count":2}', { ifNoneMatch: '*' }), { name: 'PreconditionFailed' });
+    await driver.putObject(KEY, '{"count":2}', { ifMatch: etag });
+    await assert.rejects(driver.putObject(KEY, '{"count":3}', { ifMatch: etag }), { name: 'PreconditionFailed' });
+    assert.deepEqual(await readStored(KEY), { count: 2 });
+  });
+
+  it('does not write when the mutator throws', async () => {
+    await writeJsonDocument(KEY, { count: 5, by: [] });
+
+    await assert.rejects(increment({ mutator: () => { throw new Error('invalid'); } }), /invalid/);
+    assert.equal((await readStored(KEY)).count, 5);
+  });
+});
+
+describe('S3 conditional writes', () => {
+  it('sends IfMatch / IfNoneMatch and reports a lost race as PreconditionFailed', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const sent = [];
+    t.mock.method(S3Client.prototype, 'send', async (command) => {
+      sent.push(command.input);
+      if (command.input.IfMatch === '"stale"') {
+        throw Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+          $metadata: { httpStatusCode: 412 }
+        });
+      }
+      return { ETag: '"new"' };
+    });
+    const driver = createS3Driver();
+
+    assert.deepEqual(await driver.putObject(KEY, '{}', { ifMatch: '"current"' }), { etag: '"new"' });
+    await driver.putObject(KEY, '{}', { ifNoneMatch: '*' });
+    await assert.rejects(driver.putObject(KEY, '{}', { ifMatch: '"stale"' }), { name: 'PreconditionFailed' });
+
+    assert.equal(sent[0].IfMatch, '"current"');
+    assert.equal(sent[1].IfNoneMatch, '*');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, clearStorage, readStored } from './helpers.js';
+import { writeJsonDocument } from '../utils/storage/jsonDocuments.js';
+import { listFilesInS3, mutateGameData } from '../utils/s3Manager.js';
+import { listGameDataSnapshots } from '../utils/gameHistory.js';
+import { migrateDocument, getCurrentSchemaVersion } from '../utils/migrations/index.js';
+import { runSchemaMigrations, getSchemaStatus } from '../utils/migrations/runner.js';
+
+const GAME_DATA_KEY = 'public/game-data.json';
+
+// A catalog from before versioning: a bare array of games in the first format
+const LEGACY_GAMES = [
+  { id: 'g1', name: 'Block Party', thumbnail: '/public/thumbnail/block.png', htmlFile: 'index.html', developer: 'Someone', category: 'puzzle' },
+  { id: 'g2', name: 'Racer', thumb_url: '/public/thumbnail/racer.png', category: 'racing', tags: ['Fast', 'fast'] }
+];
+
+describe('schema migrations', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    await writeJsonDocument(GAME_DATA_KEY, LEGACY_GAMES);
+  });
+
+  it('upgrades a legacy catalog and keeps a backup of the original', async () => {
+    const currentVersion = getCurrentSchemaVersion('game-data');
+    const [result] = await runSchemaMigrations({ documents: ['game-data'] });
+
+    assert.equal(result.status, 'migrated');
+    assert.equal(result.fromVersion, 0);
+    assert.equal(result.toVersion, currentVersion);
+    assert.deepEqual(await readStored(result.backupKey), LEGACY_GAMES);
+
+    const stored = await readStored(GAME_DATA_KEY);
+    assert.equal(stored.schemaVersion, currentVersion);
+    const [block, racer] = stored.games;
+    assert.equal(block.thumb_url, '/public/thumbnail/block.png');
+    assert.equal(block.play_url, 'games/Block Party/');
+    assert.equal(block.slug, 'block-party');
+    assert.equal(block.thumbnail, undefined);
+    assert.equal(block.developer, undefined);
+    assert.equal(block.playCount, 0);
+    assert.deepEqual(racer.tags, ['fast']);
+    assert.deepEqual(stored.games.map(game => game.rank).sort(), [1, 2]);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const [result] = await runSchemaMigrations({ documents: ['game-data'], dryRun: true });
+
+    assert.equal(result.status, 'pending');
+    assert.ok(result.diff.changes.length > 0);
+    assert.deepEqual(await readStored(GAME_DATA_KEY), LEGACY_GAMES);
+    assert.deepEqual(await listFilesInS3('history/migrations/'), []);
+  });
+
+  it('leaves an up-to-date document alone', async () => {
+    await runSchemaMigrations({ documents: ['game-data'] });
+    const migrated = await readStored(GAME_DATA_KEY);
+
+    const [result] = await runSchemaMigrations({ documents: ['game-data'] });
+
+    assert.equal(result.status, 'up-to-date');
+    assert.deepEqual(await readStored(GAME_DATA_KEY), migrated);
+    assert.equal((await listFilesInS3('history/migrations/')).length, 1);
+    assert.deepEqual(migrateDocument('game-data', migrated).data, migrated);
+  });
+
+  it('refuses documents written by a newer server', async () => {
+    const newer = { schemaVersion: getCurrentSchemaVersion('game-data') + 1, games: [], futureField: true };
+    await writeJsonDocument(GAME_DATA_KEY, newer);
+
+    await assert.rejects(runSchemaMigrations({ documents: ['game-data'] }), { status: 409, code: 'SCHEMA_VERSION_TOO_NEW' });
+    assert.deepEqual(await readStored(GAME_DATA_KEY), newer);
+  });
+
+  it('upgrades a legacy catalog on its first write through the app', async () => {
+    await mutateGameData((gameData) => {
+      // The mutator already sees the upgraded catalog
+      assert.equal(gameData.games[0].thumb_url, '/public/thumbnail/block.png');
+      gameData.games.find(game => game.id === 'g2').name = 'Racer 2';
+    }, { author: 'editor', reason: 'rename' });
+
+    const stored = await readStored(GAME_DATA_KEY);
+    assert.equal(stored.schemaVersion, getCurrentSchemaVersion('game-data'));
+    assert.equal(stored.games[0].thumbnail, undefined);
+    assert.equal(stored.games[1].name, 'Racer 2');
+    assert.deepEqual((await listGameDataSnapshots()).map(entry => entry.reason), ['rename', 'baseline']);
+
+    const [result] = await runSchemaMigrations({ documents: ['game-data'] });
+    assert.equal(result.status, 'up-to-date');
+  });
+
+  it('refuses app writes over a document from a newer server', async () => {
+    const newer = { schemaVersion: getCurrentSchemaVersion('game-data') + 1, games: [], futureField: true };
+    await writeJsonDocument(GAME_DATA_KEY, newer);
+
+    await assert.rejects(mutateGameData((gameData) => {
+      gameData.games.push({ id: 'g3', name: 'New' });
+    }, { author: 'editor', reason: 'add' }), { status: 409, code: 'SCHEMA_VERSION_TOO_NEW' });
+    assert.deepEqual(await readStored(GAME_DATA_KEY), newer);
+  });
+
+  it('reports missing documents and pending steps', async () => {
+    const status = await getSchemaStatus();
+    const gameData = status.find(item => item.document === 'game-data');
+    const siteSettings = status.find(item => item.document === 'site-settings');
+
+    assert.equal(gameData.storedVersion, 0);
+    assert.equal(gameData.pending.length, getCurrentSchemaVersion('game-data'));
+    assert.equal(siteSettings.exists, false);
+    assert.deepEqual(await runSchemaMigrations({ documents: ['site-settings'] }), [{ document: 'site-settings', status: 'missing' }]);
+  });
+});
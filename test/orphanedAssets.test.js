@@ -0,0 +1,96 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, clearStorage, seedGameData, corruptDocument, putFile, fileExists } from './helpers.js';
+import { writeJsonDocument } from '../utils/storage/jsonDocuments.js';
+import { scanOrphanedAssets, deleteOrphanedAssets } from '../utils/orphanedAssets.js';
+import { buildTrashEntry, addToTrash } from '../utils/gameTrash.js';
+import { mutateGameData } from '../utils/s3Manager.js';
+
+const game = (id, fields = {}) => ({ id, name: id, slug: id, category: 'puzzle', ...fields });
+
+const OLD = 30;
+
+describe('orphaned asset deletion', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    await seedGameData({
+      games: [game('block', { thumb_url: '/public/thumbnail/used.png', play_url: 'games/block/build-new/' })],
+      categories: [{ id: 'puzzle', name: 'Puzzle' }]
+    });
+    await putFile('public/thumbnail/used.png', OLD);
+    await putFile('public/thumbnail/orphan.png', OLD);
+    await putFile('public/thumbnail/fresh.png', 1);
+    await putFile('public/games/block/build-new/index.html', OLD);
+    await putFile('public/games/block/build-new/assets/app.js', OLD);
+    await putFile('public/games/block/build-old/index.html', OLD);
+  });
+
+  it('deletes only old, unreferenced files', async () => {
+    const report = await deleteOrphanedAssets({ graceDays: 7 });
+
+    assert.deepEqual(report.deleted, [
+      'public/games/block/build-old/index.html',
+      'public/thumbnail/orphan.png'
+    ]);
+    assert.deepEqual(report.orphans.filter(orphan => !orphan.deletable).map(orphan => orphan.key), [
+      'public/thumbnail/fresh.png'
+    ]);
+    assert.equal(await fileExists('public/thumbnail/orphan.png'), false);
+    assert.equal(await fileExists('public/thumbnail/used.png'), true);
+    assert.equal(await fileExists('public/thumbnail/fresh.png'), true);
+    assert.equal(await fileExists('public/games/block/build-new/assets/app.js'), true);
+  });
+
+  it('deletes nothing on a dry run', async () => {
+    const report = await deleteOrphanedAssets({ graceDays: 7, dryRun: true });
+
+    assert.equal(report.deleted.length, 2);
+    assert.equal(await fileExists('public/thumbnail/orphan.png'), true);
+    assert.equal(await fileExists('public/games/block/build-old/index.html'), true);
+  });
+
+  it('keeps files used by trashed games, site settings and history snapshots', async () => {
+    await addToTrash([buildTrashEntry(game('gone', { thumb_url: 'thumbnail/orphan.png' }), 'editor')]);
+    await putFile('public/assets/logo.png', OLD);
+    await putFile('public/assets/splash.png', OLD);
+    await writeJsonDocument('public/site-settings.json', { splashLogoUrl: '/public/assets/splash.png' });
+    await mutateGameData((gameData) => {
+      gameData.games[0].logo_url = '/public/assets/logo.png';
+    }, { author: 'editor', reason: 'add logo' });
+    // The snapshot taken by this write still holds the logo
+    await mutateGameData((gameData) => {
+      delete gameData.games[0].logo_url;
+    }, { author: 'editor', reason: 'remove logo' });
+
+    const { orphans } = await scanOrphanedAssets({ graceDays: 7 });
+
+    assert.deepEqual(orphans.map(orphan => orphan.key), [
+      'public/games/block/build-old/index.html',
+      'public/thumbnail/fresh.png'
+    ]);
+  });
+
+  it('deletes nothing when a referencing document cannot be read', async () => {
+    for (const key of ['public/game-data.json', 'public/site-settings.json']) {
+      await clearStorage();
+      await putFile('public/thumbnail/used.png', OLD);
+      await corruptDocument(key);
+
+      await assert.rejects(deleteOrphanedAssets({ graceDays: 7 }));
+      assert.equal(await fileExists('public/thumbnail/used.png'), true);
+    }
+  });
+
+  it('refuses to scan outside public/', async () => {
+    await assert.rejects(deleteOrphanedAssets({ prefixes: ['history/'] }), { status: 400 });
+    await assert.rejects(deleteOrphanedAssets({ prefixes: ['public/../trash/'] }), { status: 400 });
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { useTempStorage, clearStorage, addGames, readStored } from './helpers.js';
+import PlayCountBuffer from '../services/PlayCountBuffer.js';
+import GameRankingService from '../services/GameRankingService.js';
+import { getGameDataFromS3, mutateGameData } from '../utils/s3Manager.js';
+
+const toObject = (plays) => Object.fromEntries([...plays].map(([gameId, { count }]) => [gameId, count]));
+
+const readLines = async (filePath) => {
+  try {
+    return (await fs.readFile(filePath, 'utf-8')).split('\n').filter(Boolean).map(line => JSON.parse(line).gameId);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+describe('play count buffer', () => {
+  let dir;
+  let journalPath;
+  const buffers = [];
+
+  // applyPlays defaults to remembering each batch
+  const createBuffer = (options = {}) => {
+    const applied = [];
+    const buffer = new PlayCountBuffer({
+      applyPlays: async (plays, flushId) => applied.push({ plays: toObject(plays), flushId }),
+      flushIntervalMs: 60 * 60 * 1000,
+      flushThreshold: 1000,
+      journalPath,
+      ...options
+    });
+    buffers.push(buffer);
+    return { buffer, applied };
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plays-'));
+  });
+
+  after(async () => {
+    buffers.forEach(buffer => clearInterval(buffer.timer));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    journalPath = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}`, 'plays.log');
+  });
+
+  it('writes pending plays in one batch per flush', async () => {
+    const { buffer, applied } = createBuffer();
+    await buffer.start();
+    ['a', 'b', 'a'].forEach(gameId => buffer.record(gameId));
+
+    assert.equal(await buffer.flush(), 3);
+    assert.equal(await buffer.flush(), 0);
+
+    assert.equal(applied.length, 1);
+    assert.deepEqual(applied[0].plays, { a: 2, b: 1 });
+    assert.equal(typeof applied[0].flushId, 'string');
+    assert.equal(await readLines(`${journalPath}.flushing`), null);
+    assert.equal(await readLines(journalPath), null);
+  });
+
+  it('flushes when the threshold is reached', async () => {
+    const { buffer, applied } = createBuffer({ flushThreshold: 2, journalPath: undefined });
+    buffer.record('a');
+    buffer.record('a');
+    await buffer.flush();
+
+    assert.deepEqual(applied.map(batch => batch.plays), [{ a: 2 }]);
+  });
+
+  it('keeps plays recorded during a flush for the next one', async () => {
+    let release;
+    const applied = [];
+    const { buffer } = createBuffer({
+      applyPlays: async (plays) => {
+        applied.push(toObject(plays));
+        if (applied.length === 1) {
+          await new Promise(resolve => { release = resolve; });
+        }
+      }
+    });
+    await buffer.start();
+    buffer.record('a');
+
+    const flushing = buffer.flush();
+    while (!release) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    buffer.record('b');
+    await buffer.journalWrite;
+
+    // The batch being written has its own journal; new plays go to a fresh one
+    assert.deepEqual(await readLines(`${journalPath}.flushing`), ['a']);
+    assert.deepEqual(await readLines(journalPath), ['b']);
+
+    release();
+    await flushing;
+    await buffer.flush();
+
+    assert.deepEqual(applied, [{ a: 1 }, { b: 1 }]);
+  });
+
+  it('puts the batch and its journal back when the write fails', async () => {
+    let fail = true;
+    const applied = [];
+    const { buffer } = createBuffer({
+      applyPlays: async (plays) => {
+        if (fail) {
+          throw new Error('storage down');
+        }
+        applied.push(toObject(plays));
+      }
+    });
+    await buffer.start();
+    buffer.record('a');
+
+    await assert.rejects(buffer.flush(), /storage down/);
+    buffer.record('b');
+    await buffer.journalWrite;
+
+    assert.equal(buffer.totalPending, 2);
+    assert.deepEqual((await readLines(journalPath)).sort(), ['a', 'b']);
+    assert.equal(await readLines(`${journalPath}.flushing`), null);
+
+    fail = false;
+    assert.equal(await buffer.flush(), 2);
+    assert.deepEqual(applied, [{ a: 1, b: 1 }]);
+  });
+
+  it('replays journaled plays after a crash', async () => {
+    const { buffer: crashed } = createBuffer();
+    await crashed.start();
+    ['a', 'a', 'b'].forEach(gameId => crashed.record(gameId));
+    await crashed.journalWrite;
+
+    const { buffer, applied } = createBuffer();
+    await buffer.start();
+    await buffer.flush();
+
+    assert.deepEqual(applied.map(batch => batch.plays), [{ a: 2, b: 1 }]);
+  });
+
+  it('replays a flush interrupted before its write', async () => {
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(`${journalPath}.flushing`, '{"gameId":"a","playedAt":"2026-01-01T00:00:00.000Z"}\n');
+    await fs.writeFile(`${journalPath}.flushing.id`, 'lost');
+
+    const { buffer, applied } = createBuffer({ isFlushApplied: async () => false });
+    await buffer.start();
+    await buffer.flush();
+
+    assert.deepEqual(applied.map(batch => batch.plays), [{ a: 1 }]);
+  });
+
+  it('does not count a flush twice when it was written before the crash', async () => {
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(`${journalPath}.flushing`, '{"gameId":"a","playedAt":"2026-01-01T00:00:00.000Z"}\n');
+    await fs.writeFile(`${journalPath}.flushing.id`, 'written');
+    await fs.writeFile(journalPath, '{"gameId":"b","playedAt":"2026-01-01T00:00:01.000Z"}\n');
+
+    const { buffer, applied } = createBuffer({ isFlushApplied: async (flushId) => flushId === 'written' });
+    await buffer.start();
+    await buffer.flush();
+
+    assert.deepEqual(applied.map(batch => batch.plays), [{ b: 1 }]);
+    assert.equal(await readLines(`${journalPath}.flushing`), null);
+  });
+});
+
+describe('play counts in game data', () => {
+  let removeStorage;
+  const service = new GameRankingService({ getGameDataFromS3, mutateGameData });
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+  });
+
+  after(() => removeStorage());
+
+  beforeEach(async () => {
+    await clearStorage();
+    await addGames([
+      { id: 'a', name: 'a', slug: 'a', playCount: 0, rank: 1, isActive: true },
+      { id: 'b', name: 'b', slug: 'b', playCount: 0, rank: 2, isActive: true }
+    ]);
+  });
+
+  it('stores the counts and the flush id in one write', async () => {
+    await service.applyPlayCounts(new Map([['b', { count: 3, lastPlayed: '2026-01-01T00:00:00.000Z' }]]), 'flush-1');
+
+    const { games } = await readStored('public/game-data.json');
+    const played = games.find(g => g.id === 'b');
+    assert.equal(played.playCount, 3);
+    assert.equal(played.rank, 1);
+    assert.equal(games.find(g => g.id === 'a').rank, 2);
+    assert.equal(await service.isPlayFlushApplied('flush-1'), true);
+    assert.equal(await service.isPlayFlushApplied('flush-2'), false);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, addGames, corruptDocument, fileExists } from './helpers.js';
+import { getStorageDriver } from '../utils/storage/index.js';
+import { publishSeoFiles } from '../utils/seo.js';
+
+const readPublished = async (name) => (await getStorageDriver().getObject(`public/${name}`)).body.toString('utf-8');
+
+describe('SEO publishing', () => {
+  let removeStorage;
+
+  before(async () => {
+    removeStorage = await useTempStorage();
+    process.env.SITE_URL = 'https://games.example.com';
+  });
+
+  after(() => removeStorage());
+
+  it('keeps the published files when the catalog cannot be read', async () => {
+    await addGames([{ id: 'g1', name: 'Block', slug: 'block', category: 'puzzle' }], [{ id: 'puzzle', name: 'Puzzle' }]);
+    assert.deepEqual(await publishSeoFiles(), ['sitemap.xml', 'feed.rss', 'feed.atom']);
+    const sitemap = await readPublished('sitemap.xml');
+    assert.match(sitemap, /\/game\/block</);
+
+    await corruptDocument('public/game-data.json');
+
+    await assert.rejects(publishSeoFiles());
+    assert.equal(await readPublished('sitemap.xml'), sitemap);
+    assert.equal(await fileExists('public/feed.rss'), true);
+  });
+});
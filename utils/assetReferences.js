@@ -0,0 +1,117 @@
+import { getPublicBaseUrl } from './s3Manager.js';
+
+// Game fields that point at stored assets
+export const GAME_ASSET_FIELDS = ['thumb_url', 'logo_url', 'gif_url', 'play_url'];
+
+// JSON documents kept under public/ that are never treated as assets
+const PROTECTED_KEYS = ['public/game-data.json', 'public/site-settings.json'];
+
+// Extracted builds live in public/games/<slug>/build-<id>/ (older ones directly in public/games/<slug>/);
+// the whole folder belongs to the game that plays from it
+const GAME_BUILD_PATTERN = /^public\/games\/[^/]+\/(?:build-[a-z0-9]+\/)?/;
+
+// Build folder a key belongs to, if any
+export const getBuildFolder = (key) => key?.match(GAME_BUILD_PATTERN)?.[0];
+
+const trimBase = (url) => url?.trim().replace(/\/+$/, '');
+
+// Every base URL an asset may have been stored under (the configured one can change over time)
+const getKnownBaseUrls = () => [
+  getPublicBaseUrl(),
+  process.env.AWS_S3_PUBLIC_URL,
+  process.env.CLOUDFRONT_URL,
+  process.env.LOCAL_STORAGE_URL
+].map(trimBase).filter(Boolean);
+
+/**
+ * Map an asset URL to its storage key
+ * Accepts absolute URLs under a known base URL, "/public/..." paths, and paths relative to
+ * public/ ("games/my-game/", as the game validator allows and the v3 migration writes).
+ * @param {string} url - URL from a game or site settings
+ * @returns {string|null} Key under public/, or null for external URLs and anything else
+ */
+export const urlToStorageKey = (url) => {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return null;
+  }
+
+  let value = url.trim();
+  const base = getKnownBaseUrls().find(candidate => value.startsWith(`${candidate}/`));
+  if (base) {
+    value = value.slice(base.length);
+  } else if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value) || /\s/.test(value)) {
+    // Other hosts, data: URIs, and text that isn't a path at all
+    return null;
+  } else if (!/^\/?public\//.test(value)) {
+    value = `public/${value.replace(/^\/+/, '')}`;
+  }
+
+  let key;
+  try {
+    key = decodeURIComponent(value.split(/[?#]/)[0]).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+
+  if (!key.startsWith('public/') || key.split('/').includes('..') || PROTECTED_KEYS.includes(key)) {
+    return null;
+  }
+  return key;
+};
+
+/**
+ * Storage targets a game owns: single objects, plus the build folder its play_url points into
+ * @param {Object} game - Game
+ * @returns {Array} [{ field, key, prefix }] prefix is set for extracted builds
+ */
+export const getGameAssets = (game) => {
+  const assets = [];
+  GAME_ASSET_FIELDS.forEach(field => {
+    const key = urlToStorageKey(game[field]);
+    if (!key || assets.some(asset => asset.key === key)) {
+      return;
+    }
+    const buildFolder = field === 'play_url' ? getBuildFolder(key) : undefined;
+    assets.push({ field, key, ...(buildFolder && { prefix: buildFolder }) });
+  });
+  return assets;
+};
+
+/**
+ * Collect the storage keys referenced anywhere in a set of documents
+ * Every string value is checked, so site settings need no knowledge of their layout.
+ * @param {Array} documents - Games, settings objects, ...
+ * @returns {Set} Referenced keys
+ */
+export const collectReferencedKeys = (documents) => {
+  const keys = new Set();
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      const key = urlToStorageKey(value);
+      if (key) {
+        keys.add(key);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  documents.forEach(visit);
+  return keys;
+};
+
+// Whether an asset is still used: the same key, or for a build folder any file in that same folder
+// (a newer build-<id>/ folder of the same game does not keep an older one alive)
+export const isAssetReferenced = (asset, referencedKeys) => {
+  if (asset.prefix) {
+    return [...referencedKeys].some(key => getBuildFolder(key) === asset.prefix);
+  }
+  return referencedKeys.has(asset.key);
+};
+
+// Whether a stored object is in use: referenced itself, or part of a build folder a game plays from
+export const isKeyReferenced = (key, referencedKeys) => {
+  const buildFolder = getBuildFolder(key);
+  return referencedKeys.has(key) || (Boolean(buildFolder) && isAssetReferenced({ key, prefix: buildFolder }, referencedKeys));
+};
@@ -0,0 +1,167 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { toSlug } from './gameSlugs.js';
+
+// Categories are stored in game-data.json next to the games that reference them,
+// so a rename, merge or reassignment is written in the same update as the games.
+
+export const getCategories = (gameData) => (Array.isArray(gameData?.categories) ? gameData.categories : []);
+
+// Sort for display: explicit order first, then by name
+export const sortCategories = (categories) => {
+  return [...categories].sort((a, b) =>
+    (a.order ?? 0) - (b.order ?? 0) || (a.name || '').localeCompare(b.name || '')
+  );
+};
+
+// Find a category by id, falling back to its slug (category pages link by slug)
+export const findCategory = (categories, idOrSlug) => {
+  return categories.find(c => c.id === idOrSlug) || categories.find(c => c.slug === idOrSlug) || null;
+};
+
+// Every category a game belongs to: its primary `category` plus any extra `categories`
+export const getGameCategoryIds = (game) => {
+  return [...new Set([game.category, ...(Array.isArray(game.categories) ? game.categories : [])].filter(Boolean))];
+};
+
+/**
+ * Keep `category` (primary) and `categories` (all memberships) consistent on a game
+ * - the primary category is always the first entry of categories
+ * - with only categories given, the first one becomes the primary
+ * @param {Object} game - Game (modified in place)
+ * @returns {Object} game
+ */
+export const normalizeGameCategories = (game) => {
+  const ids = getGameCategoryIds(game);
+  if (ids.length === 0) {
+    delete game.categories;
+    return game;
+  }
+  game.category = ids[0];
+  game.categories = ids;
+  return game;
+};
+
+// When the primary category changes and the extra categories weren't sent, drop the old primary
+// from the membership list so it isn't kept as an extra category by accident
+export const withoutPrimaryCategory = (game, newCategory) => {
+  const categories = Array.isArray(game.categories) ? game.categories : [];
+  return newCategory && newCategory !== game.category
+    ? categories.filter(id => id !== game.category)
+    : categories;
+};
+
+// Number of games per category id (a game counts once in each of its categories)
+export const countGamesByCategory = (games = []) => {
+  const counts = new Map();
+  games.forEach(game => {
+    getGameCategoryIds(game).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+  });
+  return counts;
+};
+
+/**
+ * Build a new category
+ * @param {Object} input - { id, name, slug, icon, order, isActive }
+ * @returns {Object} Category; its id defaults to the slug and never changes afterwards
+ */
+export const buildCategory = (input) => {
+  const slug = input.slug || toSlug(input.name);
+  const now = new Date().toISOString();
+
+  return {
+    id: input.id || slug,
+    name: input.name,
+    slug,
+    icon: input.icon || '',
+    order: input.order ?? 0,
+    isActive: input.isActive ?? true,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Throw a 409 if another category already uses this category's id or slug
+ * @param {Array} categories - Current categories
+ * @param {Object} category - Category being created or updated
+ * @param {string} [ownId] - Id of the category being updated
+ */
+export const assertUniqueCategory = (categories, category, ownId) => {
+  const others = categories.filter(c => c.id !== ownId);
+  const errors = [];
+
+  if (!ownId && others.some(c => c.id === category.id)) {
+    errors.push({ field: 'id', message: `A category with id "${category.id}" already exists` });
+  }
+  if (others.some(c => c.slug === category.slug)) {
+    errors.push({ field: 'slug', message: `A category with slug "${category.slug}" already exists` });
+  }
+
+  if (errors.length > 0) {
+    const error = createHttpError(409, errors.map(e => e.message).join('; '));
+    error.errors = errors;
+    throw error;
+  }
+};
+
+/**
+ * Throw a 400 if a game references a category that doesn't exist
+ * Categories the game already had are not checked: games from before category records still use
+ * free-text categories until /api/categories/sync runs, and editing them must keep working.
+ * @param {Array} categories - Current categories
+ * @param {Object} game - Game whose category and categories are checked
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Stored version of the game, when it is being updated
+ * @param {string} [options.prefix] - Prefix for the reported field names (e.g. "games[3].")
+ */
+export const assertGameCategoriesExist = (categories, game, { previous, prefix = '' } = {}) => {
+  const kept = previous ? getGameCategoryIds(previous) : [];
+  const unknown = getGameCategoryIds(game)
+    .filter(id => !kept.includes(id) && !categories.some(c => c.id === id));
+  if (unknown.length === 0) {
+    return;
+  }
+
+  const error = createHttpError(400, `Unknown category ${unknown.map(id => `"${id}"`).join(', ')}`);
+  error.errors = unknown.map(id => ({
+    field: `${prefix}${id === game.category ? 'category' : 'categories'}`,
+    message: `Unknown category "${id}"; use the id of a category from /api/categories`
+  }));
+  throw error;
+};
+
+// Map a comma-separated category filter (ids or slugs) to category ids
+export const resolveCategoryFilter = (categories, value) => {
+  if (!value) {
+    return value;
+  }
+  return String(value)
+    .split(',')
+    .map(item => findCategory(categories, item.trim())?.id || item.trim())
+    .join(',');
+};
+
+/**
+ * Move every game in one category to another (primary and extra memberships)
+ * @param {Array} games - Catalog games (edited in place)
+ * @param {string} fromId - Category being emptied
+ * @param {string} toId - Category receiving the games
+ * @returns {number} Number of games moved
+ */
+export const reassignGames = (games, fromId, toId) => {
+  let moved = 0;
+  games.forEach(game => {
+    if (!getGameCategoryIds(game).includes(fromId)) {
+      return;
+    }
+    if (game.category === fromId) {
+      game.category = toId;
+    }
+    if (Array.isArray(game.categories)) {
+      game.categories = game.categories.map(id => (id === fromId ? toId : id));
+    }
+    normalizeGameCategories(game);
+    moved++;
+  });
+  return moved;
+};
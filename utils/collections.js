@@ -0,0 +1,137 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { toSlug } from './gameSlugs.js';
+import { getGameStatus, isGameLive, withGameStatus } from './gameSchedule.js';
+
+// Collections ("Editor's picks", "Halloween games") are curated, ordered lists of game ids.
+// Like categories they live in game-data.json; a deleted game simply drops out when a
+// collection is read, and comes back if the game is restored from the trash.
+
+export const MAX_COLLECTION_GAMES = 200;
+
+export const getCollections = (gameData) => (Array.isArray(gameData?.collections) ? gameData.collections : []);
+
+// Sort for display: explicit order first, then by title
+export const sortCollections = (collections) => {
+  return [...collections].sort((a, b) =>
+    (a.order ?? 0) - (b.order ?? 0) || (a.title || '').localeCompare(b.title || '')
+  );
+};
+
+// Find a collection by id, falling back to its slug
+export const findCollection = (collections, idOrSlug) => {
+  return collections.find(c => c.id === idOrSlug) || collections.find(c => c.slug === idOrSlug) || null;
+};
+
+// Collections share the games' schedule fields (publishAt, unpublishAt, isDraft) and statuses
+export const getCollectionStatus = (collection, now = Date.now()) => getGameStatus(collection, now);
+
+export const isCollectionLive = (collection, now = Date.now()) => isGameLive(collection, now);
+
+/**
+ * Build a new collection
+ * @param {Object} input - { id, title, slug, description, cover_url, gameIds, order, publishAt, unpublishAt, isDraft }
+ * @param {string} author - Editor creating it
+ * @returns {Object} Collection; its id defaults to the slug and never changes afterwards
+ */
+export const buildCollection = (input, author) => {
+  const slug = input.slug || toSlug(input.title);
+  const now = new Date().toISOString();
+
+  return {
+    id: input.id || slug,
+    title: input.title,
+    slug,
+    description: input.description || '',
+    cover_url: input.cover_url || '',
+    gameIds: [...new Set(input.gameIds || [])],
+    order: input.order ?? 0,
+    ...(input.publishAt && { publishAt: input.publishAt }),
+    ...(input.unpublishAt && { unpublishAt: input.unpublishAt }),
+    ...(input.isDraft && { isDraft: true }),
+    createdAt: now,
+    updatedAt: now,
+    updatedBy: author
+  };
+};
+
+/**
+ * Throw a 409 if another collection already uses this collection's id or slug
+ * @param {Array} collections - Current collections
+ * @param {Object} collection - Collection being created or updated
+ * @param {string} [ownId] - Id of the collection being updated
+ */
+export const assertUniqueCollection = (collections, collection, ownId) => {
+  const others = collections.filter(c => c.id !== ownId);
+  const errors = [];
+
+  if (!ownId && others.some(c => c.id === collection.id)) {
+    errors.push({ field: 'id', message: `A collection with id "${collection.id}" already exists` });
+  }
+  if (others.some(c => c.slug === collection.slug)) {
+    errors.push({ field: 'slug', message: `A collection with slug "${collection.slug}" already exists` });
+  }
+
+  if (errors.length > 0) {
+    const error = createHttpError(409, errors.map(e => e.message).join('; '));
+    error.errors = errors;
+    throw error;
+  }
+};
+
+/**
+ * Throw a 400 if a collection adds games that aren't in the catalog
+ * Ids it already listed may stay, so a trashed game returns to its collections when restored.
+ * @param {Array} games - Catalog games
+ * @param {Object} collection - Collection being saved
+ * @param {Array} [previousIds] - gameIds before this update
+ */
+export const assertCollectionGamesExist = (games, collection, previousIds = []) => {
+  const ids = new Set([...games.map(game => game.id), ...previousIds]);
+  const unknown = collection.gameIds.filter(id => !ids.has(id));
+  if (unknown.length === 0) {
+    return;
+  }
+
+  const error = createHttpError(400, `Unknown game ${unknown.map(id => `"${id}"`).join(', ')}`);
+  error.errors = unknown.map(id => ({ field: 'gameIds', message: `Unknown game "${id}"` }));
+  throw error;
+};
+
+/**
+ * Public view of a collection: its games in the curated order, skipping deleted,
+ * inactive and unpublished ones
+ * @param {Object} collection - Collection
+ * @param {Array} games - Catalog games
+ * @param {number} [now] - Reference time in ms
+ * @returns {Object} Collection with games instead of gameIds
+ */
+export const resolveCollection = (collection, games, now = Date.now()) => {
+  const byId = new Map(games.map(game => [game.id, game]));
+  const { gameIds, ...rest } = collection;
+
+  return {
+    ...rest,
+    games: gameIds
+      .map(id => byId.get(id))
+      .filter(game => game && game.isActive !== false && isGameLive(game, now))
+  };
+};
+
+/**
+ * Editor view of a collection: status, every listed game that still exists (with its status)
+ * and the ids that no longer match a game
+ * @param {Object} collection - Collection
+ * @param {Array} games - Catalog games
+ * @param {number} [now] - Reference time in ms
+ * @returns {Object} Collection with status, games and missingGameIds
+ */
+export const describeCollection = (collection, games, now = Date.now()) => {
+  const byId = new Map(games.map(game => [game.id, game]));
+
+  return {
+    ...collection,
+    status: getCollectionStatus(collection, now),
+    games: collection.gameIds.filter(id => byId.has(id)).map(id => withGameStatus(byId.get(id), now)),
+    missingGameIds: collection.gameIds.filter(id => !byId.has(id))
+  };
+};
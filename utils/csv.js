@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading/writing for catalog import and export:
+// quoted fields, escaped quotes ("") and line breaks inside quotes are supported.
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * @param {string} text - CSV text (a leading BOM is ignored)
+ * @returns {Array} [{ column: value }] one object per non-empty data row
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error('Invalid CSV: unterminated quoted field');
+    error.status = 400;
+    throw error;
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return data.map(values => Object.fromEntries(
+    columns.map((column, index) => [column, values[index] ?? ''])
+  ));
+};
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize row objects to CSV
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - Column names, in order
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
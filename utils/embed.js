@@ -0,0 +1,129 @@
+// Partners embed games through the embed page (/embed/:gameId), which frames the game's
+// play_url under an attribution bar. Browsers only allow the page inside sites on the
+// allowlist in site settings: { "embed": { "allowedDomains": ["partner.com", "*.example.org"] } }
+
+// Game area per tile size, in CSS pixels
+export const EMBED_DIMENSIONS = {
+  small: { width: 480, height: 360 },
+  medium: { width: 800, height: 600 },
+  large: { width: 1024, height: 768 }
+};
+
+// Height of the attribution bar under the game
+export const ATTRIBUTION_HEIGHT = 32;
+
+// "partner.com", "*.partner.com", "localhost:8080"
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+// "https://Partner.com/blog" -> "partner.com"; anything else (spaces, ";", quotes) is dropped
+const normalizeDomain = (entry) => {
+  const domain = String(entry || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/\/.*$/, '');
+  return DOMAIN_PATTERN.test(domain) ? domain : null;
+};
+
+/**
+ * Domains allowed to frame the embed page, from site settings
+ * Invalid entries are ignored, since they end up in a Content-Security-Policy header.
+ * @param {Object} settings - Site settings
+ * @returns {Array<string>} Normalized domains (empty when embedding is off)
+ */
+export const getEmbedAllowedDomains = (settings = {}) => {
+  const entries = Array.isArray(settings.embed?.allowedDomains) ? settings.embed.allowedDomains : [];
+  return [...new Set(entries.map(normalizeDomain).filter(Boolean))];
+};
+
+/**
+ * Frame size for a game, scaled down (keeping its aspect ratio) to fit maxwidth/maxheight
+ * @param {Object} game - Game (uses size)
+ * @param {Object} [limits] - { maxWidth, maxHeight } for the whole frame, attribution bar included
+ * @returns {Object} { width, height } of the whole frame
+ */
+export const getEmbedDimensions = (game, { maxWidth, maxHeight } = {}) => {
+  const { width, height } = EMBED_DIMENSIONS[game.size] || EMBED_DIMENSIONS.small;
+  const scale = Math.min(
+    1,
+    maxWidth > 0 ? maxWidth / width : 1,
+    maxHeight > ATTRIBUTION_HEIGHT ? (maxHeight - ATTRIBUTION_HEIGHT) / height : 1
+  );
+  return {
+    width: Math.floor(width * scale),
+    height: Math.floor(height * scale) + ATTRIBUTION_HEIGHT
+  };
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Content-Security-Policy for the embed page: frames only the game, and may only be framed by
+ * this site and the allowed domains
+ * @param {Object} options - { playUrl, siteUrl, allowedDomains }
+ * @returns {string} Header value
+ */
+export const buildEmbedCsp = ({ playUrl, siteUrl, allowedDomains }) => {
+  const ancestors = ["'self'", originOf(siteUrl), ...allowedDomains].filter(Boolean);
+  return [
+    "default-src 'none'",
+    `frame-src ${originOf(playUrl) || "'none'"}`,
+    "style-src 'unsafe-inline'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    `frame-ancestors ${ancestors.join(' ')}`
+  ].join('; ');
+};
+
+/**
+ * The oEmbed "html" snippet: an iframe of the embed page
+ * @param {string} embedUrl - Absolute embed page URL
+ * @param {Object} game - Game (for the frame title)
+ * @param {Object} dimensions - { width, height }
+ * @returns {string} HTML
+ */
+export const buildEmbedIframe = (embedUrl, game, { width, height }) => {
+  return `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" title="${escapeHtml(game.name)}" ` +
+    'style="border:0;max-width:100%" allow="autoplay; fullscreen; gamepad" allowfullscreen loading="lazy"></iframe>';
+};
+
+/**
+ * The embed page: the game filling the frame, with a link back to its page on the site
+ * @param {Object} options - { game, playUrl, gameUrl, siteTitle, locale }
+ * @returns {string} HTML document
+ */
+export const buildEmbedPage = ({ game, playUrl, gameUrl, siteTitle, locale }) => {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(game.name)} | ${escapeHtml(siteTitle)}</title>
+<link rel="canonical" href="${escapeHtml(gameUrl)}">
+<style>
+html, body { margin: 0; height: 100%; background: #000; font: 14px/1 system-ui, sans-serif; }
+body { display: flex; flex-direction: column; }
+iframe { flex: 1; width: 100%; border: 0; }
+footer { height: ${ATTRIBUTION_HEIGHT}px; display: flex; align-items: center; padding: 0 10px; background: #111; }
+footer a { color: #fff; text-decoration: none; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+</style>
+</head>
+<body>
+<iframe src="${escapeHtml(playUrl)}" title="${escapeHtml(game.name)}" allow="autoplay; fullscreen; gamepad" allowfullscreen></iframe>
+<footer><a href="${escapeHtml(gameUrl)}" target="_blank" rel="noopener">${escapeHtml(game.name)} on ${escapeHtml(siteTitle)}</a></footer>
+</body>
+</html>
+`;
+};
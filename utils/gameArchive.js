@@ -0,0 +1,239 @@
+import AdmZip from 'adm-zip';
+import path from 'path';
+import zlib from 'zlib';
+import { uploadBufferToS3, getPublicBaseUrl } from './s3Manager.js';
+import { urlToStorageKey } from './assetReferences.js';
+
+// Content-Type per extension for files inside an HTML5 game build
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.unityweb': 'application/octet-stream'
+};
+
+// OS clutter that is never part of a game build
+const IGNORED_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+// Archive limits (read lazily, after dotenv)
+const getLimits = () => ({
+  maxFiles: parseInt(process.env.GAME_ZIP_MAX_FILES) || 2000,
+  maxTotalSize: parseInt(process.env.GAME_ZIP_MAX_TOTAL_SIZE) || 200 * 1024 * 1024 // 200MB uncompressed
+});
+
+const archiveError = (message) => {
+  const error = new Error(`Invalid game archive: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+export const getContentType = (filePath) => {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+};
+
+// Turn a game name or file name into a folder name under public/games/
+export const toGameSlug = (value) => {
+  return (value || '')
+    .toLowerCase()
+    .replace(/\.zip$/, '')
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+// Reject absolute paths, drive letters, backslashes and any ".." segment
+const isSafeEntryPath = (entryName) => {
+  if (!entryName || entryName.includes('\\') || entryName.includes('\0')) {
+    return false;
+  }
+  if (entryName.startsWith('/') || /^[a-zA-Z]:/.test(entryName)) {
+    return false;
+  }
+  return !entryName.split('/').some(segment => segment === '..');
+};
+
+// Unix mode bits live in the high word of the external attributes
+const isSymlink = (entry) => ((entry.header.attr >>> 16) & 0o170000) === 0o120000;
+
+// ZIP compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Decompress one entry without ever producing more than its declared size
+ * (adm-zip's getData() leaves inflation unbounded for entries that declare a size of 0)
+ * @param {Object} entry - adm-zip entry
+ * @returns {Buffer} Entry contents, checked against the declared size and CRC
+ */
+const inflateEntry = (entry) => {
+  const { method, size, crc, encrypted } = entry.header;
+
+  if (encrypted) {
+    throw archiveError(`"${entry.entryName}" is encrypted`);
+  }
+  if (method !== STORED && method !== DEFLATED) {
+    throw archiveError(`"${entry.entryName}" uses an unsupported compression method`);
+  }
+
+  let data;
+  try {
+    const compressed = entry.getCompressedData();
+    // One byte over the declared size is enough to know the size was a lie
+    data = method === STORED ? compressed : zlib.inflateRawSync(compressed, { maxOutputLength: size + 1 });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw archiveError(`"${entry.entryName}" is larger than its declared size`);
+    }
+    throw archiveError(`"${entry.entryName}" could not be decompressed`);
+  }
+
+  if (data.length !== size) {
+    throw archiveError(`"${entry.entryName}" does not match its declared size`);
+  }
+  if (zlib.crc32(data) !== crc) {
+    throw archiveError(`"${entry.entryName}" is corrupt (CRC mismatch)`);
+  }
+  return data;
+};
+
+/**
+ * Validate a game ZIP and read its files
+ * - every entry path must stay inside the game folder (no traversal, no symlinks)
+ * - file count and total uncompressed size must be within limits
+ * - an entry HTML file must exist (index.html preferred); a single wrapping folder is stripped
+ * @param {Buffer} buffer - ZIP contents
+ * @returns {Object} { files: [{ path, data, contentType }], entry, totalSize }
+ */
+export const readGameArchive = (buffer) => {
+  const { maxFiles, maxTotalSize } = getLimits();
+  let zip;
+
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw archiveError('not a readable ZIP file');
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory && !IGNORED_ENTRY.test(entry.entryName));
+
+  if (entries.length === 0) {
+    throw archiveError('the archive is empty');
+  }
+  if (entries.length > maxFiles) {
+    throw archiveError(`${entries.length} files exceeds the limit of ${maxFiles}`);
+  }
+
+  entries.forEach(entry => {
+    if (!isSafeEntryPath(entry.entryName)) {
+      throw archiveError(`unsafe path "${entry.entryName}"`);
+    }
+    if (isSymlink(entry)) {
+      throw archiveError(`symbolic links are not allowed ("${entry.entryName}")`);
+    }
+  });
+
+  // Check declared sizes before inflating anything; inflateEntry holds each entry to its declared size
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (declaredSize > maxTotalSize) {
+    throw archiveError(`uncompressed size ${declaredSize} bytes exceeds the limit of ${maxTotalSize}`);
+  }
+
+  // "my-game/index.html, my-game/js/..." -> "index.html, js/..."
+  const topLevel = new Set(entries.map(entry => entry.entryName.split('/')[0]));
+  const wrapper = topLevel.size === 1 && entries.every(entry => entry.entryName.includes('/'))
+    ? `${[...topLevel][0]}/`
+    : '';
+
+  const files = entries.map(entry => {
+    const data = inflateEntry(entry);
+    const filePath = entry.entryName.slice(wrapper.length);
+    return { path: filePath, data, contentType: getContentType(filePath) };
+  });
+
+  const rootHtml = files.filter(file => !file.path.includes('/') && /\.html?$/i.test(file.path));
+  const entryFile = rootHtml.find(file => file.path.toLowerCase() === 'index.html') || rootHtml[0];
+
+  if (!entryFile) {
+    throw archiveError('no entry HTML file (index.html) at the top level');
+  }
+
+  return { files, entry: entryFile.path, totalSize: declaredSize };
+};
+
+/**
+ * Find a game other than gameId that owns public/games/<folder>/: it has that slug or plays from there
+ * @param {Array} games - Games to check (catalog and trash)
+ * @param {string} folder - Game folder name
+ * @param {string} [gameId] - The game the upload is for
+ * @returns {Object|undefined} The owning game
+ */
+export const findBuildFolderOwner = (games, folder, gameId) => {
+  return games.find(game => game.id !== gameId && (
+    toGameSlug(game.slug) === folder ||
+    Boolean(urlToStorageKey(game.play_url)?.startsWith(`public/games/${folder}/`))
+  ));
+};
+
+/**
+ * Validate a game ZIP and extract it to a new public/games/<folder>/build-<id>/
+ * Every upload gets its own folder, so the live build keeps working until play_url is switched,
+ * and files of the previous build are never mixed in. Old builds are left to the orphaned asset cleanup.
+ * @param {Buffer} buffer - ZIP contents
+ * @param {string} folder - Game folder name (from the game's slug)
+ * @returns {Promise<Object>} { slug, prefix, entry, fileCount, totalSize, play_url, path }
+ */
+export const extractGameArchive = async (buffer, folder) => {
+  if (!folder || toGameSlug(folder) !== folder) {
+    throw archiveError('a game slug is required to name the game folder');
+  }
+
+  const { files, entry, totalSize } = readGameArchive(buffer);
+  const prefix = `public/games/${folder}/build-${Date.now().toString(36)}`;
+
+  // Upload a few files at a time to keep memory and connections bounded
+  const concurrency = 8;
+  for (let i = 0; i < files.length; i += concurrency) {
+    await Promise.all(files.slice(i, i + concurrency).map(file =>
+      // Each build has its own folder, so its files never change
+      uploadBufferToS3(`${prefix}/${file.path}`, file.data, file.contentType, 'public, max-age=31536000')
+    ));
+  }
+
+  console.log(`📦 Extracted ${files.length} files (${totalSize} bytes) to ${prefix}/`);
+
+  return {
+    slug: folder,
+    prefix,
+    entry,
+    fileCount: files.length,
+    totalSize,
+    play_url: `${getPublicBaseUrl()}/${prefix}/${entry}`,
+    path: `/${prefix}/${entry}`
+  };
+};
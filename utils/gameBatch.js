@@ -0,0 +1,229 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { getStorageDriver } from './storage/index.js';
+import { getGameDataFromS3, mutateGameData } from './s3Manager.js';
+import {
+  getCategories,
+  assertGameCategoriesExist,
+  normalizeGameCategories,
+  withoutPrimaryCategory
+} from './categories.js';
+import { buildTrashEntry, addToTrash } from './gameTrash.js';
+
+// A batch is applied to the catalog in one write, or not at all (operations: BATCH_OPERATIONS in validateGame.js)
+
+// Operations after which ranks are recalculated
+const RANKING_OPERATIONS = ['setRank', 'pin', 'unpin', 'activate', 'deactivate'];
+
+const assertRank = (rank) => {
+  if (!Number.isInteger(rank) || rank < 1) {
+    throw createHttpError(400, 'rank must be an integer >= 1');
+  }
+};
+
+// Each handler changes one game in place and returns a short description of what it did.
+// Handlers check everything before changing anything, so a failed operation leaves no trace.
+const handlers = {
+  setRank: (game, operation, { now }) => {
+    assertRank(operation.rank);
+    game.manualRank = operation.rank;
+    game.rank = operation.rank;
+    game.rankUpdatedAt = now;
+    return `rank set to ${operation.rank}`;
+  },
+
+  // Keep a game at a rank (its current one by default) until it is unpinned
+  pin: (game, operation, { now }) => {
+    const rank = operation.rank ?? game.rank;
+    if (rank === undefined || rank === null) {
+      throw createHttpError(400, 'Game has no rank yet; give the rank to pin it at');
+    }
+    assertRank(rank);
+    game.manualRank = rank;
+    game.rank = rank;
+    game.rankUpdatedAt = now;
+    return `pinned at rank ${rank}`;
+  },
+
+  // Back to ranking by play count
+  unpin: (game, operation, { now }) => {
+    if (game.manualRank === undefined || game.manualRank === null) {
+      return 'not pinned';
+    }
+    delete game.manualRank;
+    game.rankUpdatedAt = now;
+    return 'unpinned';
+  },
+
+  activate: (game, operation, { now }) => {
+    game.isActive = true;
+    game.statusUpdatedAt = now;
+    return 'activated';
+  },
+
+  deactivate: (game, operation, { now }) => {
+    game.isActive = false;
+    game.statusUpdatedAt = now;
+    return 'deactivated';
+  },
+
+  // Same as changing `category` with PUT: the old primary category is dropped from `categories`
+  changeCategory: (game, operation, { gameData, now, author }) => {
+    const candidate = {
+      ...game,
+      category: operation.category,
+      categories: withoutPrimaryCategory(game, operation.category)
+    };
+    normalizeGameCategories(candidate);
+    assertGameCategoriesExist(getCategories(gameData), candidate, { previous: game });
+
+    game.category = candidate.category;
+    game.categories = candidate.categories;
+    game.updatedAt = now;
+    game.updatedBy = author;
+    return `moved to category ${operation.category}`;
+  },
+
+  // Soft delete, like DELETE /api/games/:gameId: the game goes to the trash after the catalog write
+  delete: (game, operation, { gameData, deleted, author }) => {
+    gameData.games.splice(gameData.games.indexOf(game), 1);
+    deleted.push(buildTrashEntry(game, author));
+    return 'moved to trash';
+  }
+};
+
+/**
+ * Apply batch operations to game data, in order
+ * Every operation is tried even after one fails, so the caller can report all problems at once;
+ * the caller must not save the result when any failed.
+ * @param {Object} gameData - Game data (modified in place)
+ * @param {Array} operations - [{ op, gameId, rank?, category? }]
+ * @param {Object} options - { author, rankingService }
+ * @returns {Object} { results: [{ index, op, gameId, success, message, status? }], failed, deleted, originals }
+ *   deleted: trash entries for deleted games; originals: gameId -> game before the batch
+ */
+export const applyBatchOperations = (gameData, operations, { author, rankingService }) => {
+  const context = { gameData, author, now: new Date().toISOString(), deleted: [] };
+  const originals = new Map();
+
+  const results = operations.map((operation, index) => {
+    const { op, gameId } = operation;
+    try {
+      const game = gameData.games.find(g => g.id === gameId);
+      if (!game) {
+        throw createHttpError(404, `Game ${gameId} not found`);
+      }
+      if (!originals.has(gameId)) {
+        originals.set(gameId, structuredClone(game));
+      }
+      return { index, op, gameId, success: true, message: handlers[op](game, operation, context) };
+    } catch (error) {
+      return {
+        index,
+        op,
+        gameId,
+        success: false,
+        status: error.status || 500,
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      };
+    }
+  });
+
+  const failed = results.filter(result => !result.success).length;
+
+  // Once for the whole batch, keeping pinned ranks
+  if (failed === 0 && operations.some(operation => RANKING_OPERATIONS.includes(operation.op))) {
+    gameData.games = rankingService.calculateRankingsWithManualOverrides(gameData.games);
+  }
+
+  return { results, failed, deleted: context.deleted, originals };
+};
+
+// Ranking fields and category of the games a batch touched, after it ran
+const summarizeGames = (gameData, originals) => {
+  return gameData.games
+    .filter(game => originals.has(game.id))
+    .map(({ id, name, rank, manualRank, isActive, category, categories }) => ({
+      id,
+      name,
+      rank,
+      manualRank,
+      isActive,
+      category,
+      categories
+    }));
+};
+
+/**
+ * Run a batch against the stored catalog
+ * @param {Array} operations - [{ op, gameId, rank?, category? }]
+ * @param {Object} options - { author, rankingService, dryRun }
+ * @returns {Promise<Object>} { applied, dryRun, results, games, summary: { total, succeeded, failed } }
+ *   applied is false when any operation failed (nothing was written) or for a dry run
+ */
+export const runGameBatch = async (operations, { author, rankingService, dryRun = false }) => {
+  if (!dryRun && operations.some(operation => operation.op === 'delete') && !getStorageDriver().isConfigured()) {
+    throw createHttpError(503, 'Storage is not configured, the trash is unavailable');
+  }
+
+  let outcome;
+  let gameData;
+
+  if (dryRun) {
+    gameData = structuredClone(await getGameDataFromS3());
+    outcome = applyBatchOperations(gameData, operations, { author, rankingService });
+  } else {
+    // Thrown out of the mutator so nothing is written
+    const rollback = new Error('Batch rolled back');
+    try {
+      gameData = await mutateGameData((current) => {
+        outcome = applyBatchOperations(current, operations, { author, rankingService });
+        if (outcome.failed > 0) {
+          throw rollback;
+        }
+      }, { author, reason: `batch of ${operations.length} operations` });
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+    }
+
+    if (outcome.failed === 0 && outcome.deleted.length > 0) {
+      try {
+        await addToTrash(outcome.deleted);
+      } catch (error) {
+        // Don't lose the deleted games: put every game the batch touched back as it was
+        console.error('❌ Failed to move batch-deleted games to the trash, undoing the batch:', error.message);
+        await mutateGameData((current) => {
+          outcome.originals.forEach((original, gameId) => {
+            const index = current.games.findIndex(g => g.id === gameId);
+            if (index === -1) {
+              current.games.push(original);
+            } else {
+              current.games[index] = original;
+            }
+          });
+          current.games = rankingService.calculateRankingsWithManualOverrides(current.games);
+        }, { author, reason: `undo batch of ${operations.length} operations` });
+        throw error;
+      }
+    }
+  }
+
+  const applied = !dryRun && outcome.failed === 0;
+  if (applied) {
+    console.log(`📦 Applied batch of ${operations.length} operations by ${author}`);
+  }
+
+  return {
+    applied,
+    dryRun,
+    results: outcome.results,
+    games: outcome.failed === 0 ? summarizeGames(gameData, outcome.originals) : [],
+    summary: {
+      total: operations.length,
+      succeeded: operations.length - outcome.failed,
+      failed: outcome.failed
+    }
+  };
+};
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { getStorageDriver } from './storage/index.js';
+import { readJsonDocument, writeJsonDocument, mutateJsonDocument } from './storage/jsonDocuments.js';
+
+// Snapshots live outside public/ so they are never served to the site
+const HISTORY_PREFIX = 'history/game-data';
+const HISTORY_INDEX_KEY = `${HISTORY_PREFIX}/index.json`;
+
+const snapshotKey = (snapshotId) => `${HISTORY_PREFIX}/${snapshotId}.json`;
+
+// Snapshot ids are generated here; anything else is rejected before it reaches a storage key
+export const isValidSnapshotId = (snapshotId) => /^[0-9TZ-]+-[a-f0-9]{6}$/.test(snapshotId || '');
+
+// Retention limits (read lazily, after dotenv)
+const getRetention = () => ({
+  maxSnapshots: parseInt(process.env.GAME_HISTORY_MAX_SNAPSHOTS) || 100,
+  maxAgeDays: parseInt(process.env.GAME_HISTORY_MAX_AGE_DAYS) || 90
+});
+
+// Compare one game's fields, returning { field: { from, to } } for everything that differs
+const diffGameFields = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Compare two versions of game-data.json game by game
+ * @param {Object|null} fromData - Older version ({ games: [] })
+ * @param {Object|null} toData - Newer version ({ games: [] })
+ * @returns {Object} { added, removed, modified, unchanged }
+ */
+export const diffGameData = (fromData, toData) => {
+  const fromGames = new Map((fromData?.games || []).map(game => [game.id, game]));
+  const toGames = new Map((toData?.games || []).map(game => [game.id, game]));
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  toGames.forEach((game, id) => {
+    if (!fromGames.has(id)) {
+      added.push({ id, name: game.name });
+      return;
+    }
+
+    const changes = diffGameFields(fromGames.get(id), game);
+    if (Object.keys(changes).length > 0) {
+      modified.push({ id, name: game.name, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  fromGames.forEach((game, id) => {
+    if (!toGames.has(id)) {
+      removed.push({ id, name: game.name });
+    }
+  });
+
+  return { added, removed, modified, unchanged };
+};
+
+// Short human-readable summary, e.g. "full update: 2 added, 1 modified (Space Run, Snake, Tetris)"
+const summarizeDiff = (diff, reason) => {
+  const counts = [
+    diff.added.length && `${diff.added.length} added`,
+    diff.removed.length && `${diff.removed.length} removed`,
+    diff.modified.length && `${diff.modified.length} modified`
+  ].filter(Boolean);
+
+  const touched = [...diff.added, ...diff.removed, ...diff.modified];
+  const names = touched.slice(0, 3).map(game => game.name || game.id);
+  const more = touched.length > names.length ? `, +${touched.length - names.length} more` : '';
+
+  return `${reason}: ${counts.join(', ') || 'no changes'}${names.length ? ` (${names.join(', ')}${more})` : ''}`;
+};
+
+// Split index entries (newest first) into kept and expired according to the retention settings
+const applyRetention = (snapshots) => {
+  const { maxSnapshots, maxAgeDays } = getRetention();
+  const oldestAllowed = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+  const kept = [];
+  const expired = [];
+
+  snapshots.forEach((snapshot, index) => {
+    // The newest snapshot is always kept so there is something to roll back to
+    const withinLimits = kept.length < maxSnapshots && snapshot.createdAt >= oldestAllowed;
+    if (index === 0 || withinLimits) {
+      kept.push(snapshot);
+    } else {
+      expired.push(snapshot);
+    }
+  });
+
+  return { kept, expired };
+};
+
+const writeSnapshot = async (previousData, gameData, { author, reason }) => {
+  const createdAt = new Date().toISOString();
+  const diff = diffGameData(previousData, gameData);
+  const entry = {
+    id: `${createdAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`,
+    createdAt,
+    author: author || 'system',
+    reason: reason || 'update',
+    summary: summarizeDiff(diff, reason || 'update'),
+    gameCount: gameData.games?.length || 0
+  };
+
+  await writeJsonDocument(snapshotKey(entry.id), { ...entry, data: gameData });
+
+  let expired = [];
+  await mutateJsonDocument(HISTORY_INDEX_KEY, {
+    normalize: (index) => index || { snapshots: [] },
+    mutator: (index) => {
+      const retention = applyRetention([entry, ...index.snapshots]);
+      expired = retention.expired;
+      return { ...index, snapshots: retention.kept };
+    },
+    label: 'game data history'
+  });
+
+  await Promise.all(expired.map(snapshot =>
+    getStorageDriver().deleteObject(snapshotKey(snapshot.id)).catch(error => {
+      console.error(`⚠️ Failed to delete expired snapshot ${snapshot.id}:`, error.message);
+    })
+  ));
+
+  return entry;
+};
+
+/**
+ * Record a snapshot of game-data.json after a write
+ * @param {Object|null} previousData - The version that was replaced (null if there was none)
+ * @param {Object} gameData - The version that was written
+ * @param {Object} context - { author, reason }
+ * @returns {Promise<Object>} The index entry for the new snapshot
+ */
+export const recordGameDataSnapshot = async (previousData, gameData, context = {}) => {
+  // The first time history is recorded, keep the pre-existing catalog as a baseline to roll back to
+  const { data: index } = await readJsonDocument(HISTORY_INDEX_KEY);
+  if (!index?.snapshots?.length && previousData?.games?.length) {
+    await writeSnapshot(null, previousData, { author: 'system', reason: 'baseline' });
+  }
+
+  const entry = await writeSnapshot(previousData, gameData, context);
+  console.log(`🗂️  Game data snapshot ${entry.id} - ${entry.summary}`);
+  return entry;
+};
+
+/**
+ * List snapshots, newest first
+ * @returns {Promise<Array>} Index entries (without the catalog data)
+ */
+export const listGameDataSnapshots = async () => {
+  const { data: index } = await readJsonDocument(HISTORY_INDEX_KEY);
+  return index?.snapshots || [];
+};
+
+/**
+ * Get one snapshot including the catalog it captured
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object|null>} Snapshot or null if it does not exist
+ */
+export const getGameDataSnapshot = async (snapshotId) => {
+  if (!isValidSnapshotId(snapshotId)) {
+    return null;
+  }
+  const { data } = await readJsonDocument(snapshotKey(snapshotId));
+  return data;
+};
@@ -0,0 +1,215 @@
+import { validateGameFields, assertUniqueGame } from '../middleware/validateGame.js';
+import {
+  getCategories,
+  assertGameCategoriesExist,
+  normalizeGameCategories,
+  withoutPrimaryCategory
+} from './categories.js';
+import { toSlug, recordSlugChange } from './gameSlugs.js';
+import { normalizeTags } from './gameTags.js';
+import { assertValidSchedule } from './gameSchedule.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Fields an import row may set; anything else (ranking fields from an export, unknown columns) is ignored
+const IMPORT_FIELDS = [
+  'id',
+  'name',
+  'slug',
+  'description',
+  'thumb_url',
+  'logo_url',
+  'gif_url',
+  'play_url',
+  'size',
+  'category',
+  'categories',
+  'tags',
+  'publishAt',
+  'unpublishAt',
+  'isDraft',
+  'translations'
+];
+
+// Export adds the ranking and bookkeeping fields
+export const EXPORT_COLUMNS = [
+  ...IMPORT_FIELDS,
+  'playCount',
+  'rank',
+  'isActive',
+  'manualRank',
+  'lastPlayed',
+  'createdAt',
+  'updatedAt',
+  'updatedBy'
+];
+
+// Multi-value CSV cells ("puzzle|kids")
+const LIST_FIELDS = ['categories', 'tags'];
+const LIST_SEPARATOR = '|';
+
+// true/false CSV cells
+const BOOLEAN_FIELDS = ['isDraft'];
+
+// CSV cells holding JSON ({"fr":{"name":"..."}}); unparseable cells are passed on for the validator to reject
+const JSON_FIELDS = ['translations'];
+
+const parseJsonCell = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// CSV record -> import row: empty cells mean "not provided", list cells are split on "|"
+export const csvRecordToRow = (record) => {
+  const row = {};
+  Object.entries(record).forEach(([column, value]) => {
+    if (value.trim() === '') {
+      return;
+    }
+    if (LIST_FIELDS.includes(column)) {
+      row[column] = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (BOOLEAN_FIELDS.includes(column) && ['true', 'false'].includes(value.trim().toLowerCase())) {
+      row[column] = value.trim().toLowerCase() === 'true';
+    } else if (JSON_FIELDS.includes(column)) {
+      row[column] = parseJsonCell(value);
+    } else {
+      row[column] = value;
+    }
+  });
+  return row;
+};
+
+// Game -> CSV record
+export const gameToCsvRecord = (game) => ({
+  ...game,
+  ...Object.fromEntries(LIST_FIELDS.map(field => [
+    field,
+    Array.isArray(game[field]) ? game[field].join(LIST_SEPARATOR) : game[field]
+  ])),
+  ...Object.fromEntries(JSON_FIELDS.map(field => [
+    field,
+    game[field] && typeof game[field] === 'object' ? JSON.stringify(game[field]) : game[field]
+  ]))
+});
+
+const buildCreatedGame = (data, index, initializeGame) => {
+  const game = {
+    id: data.id || `game_${Date.now()}_${index}`,
+    name: data.name,
+    slug: data.slug || toSlug(data.name),
+    description: data.description,
+    thumb_url: data.thumb_url || '',
+    logo_url: data.logo_url || data.thumb_url || '',
+    gif_url: data.gif_url || '',
+    play_url: data.play_url || '',
+    size: data.size || 'small',
+    category: data.category,
+    categories: data.categories,
+    tags: normalizeTags(data.tags),
+    ...(data.publishAt && { publishAt: data.publishAt }),
+    ...(data.unpublishAt && { unpublishAt: data.unpublishAt }),
+    ...(data.isDraft && { isDraft: true }),
+    ...(data.translations && { translations: data.translations })
+  };
+  return initializeGame(normalizeGameCategories(game));
+};
+
+const buildUpdatedGame = (existing, data, author) => {
+  const updated = {
+    ...existing,
+    ...data,
+    ...(data.category !== undefined && data.categories === undefined && {
+      categories: withoutPrimaryCategory(existing, data.category)
+    }),
+    ...(data.tags !== undefined && { tags: normalizeTags(data.tags) }),
+    updatedAt: new Date().toISOString(),
+    updatedBy: author
+  };
+  return normalizeGameCategories(recordSlugChange(existing, updated));
+};
+
+/**
+ * Validate import rows against the catalog and apply the valid ones to it.
+ * Rows whose id matches a game update only the fields they provide; other rows create games.
+ * @param {Object} gameData - Catalog to apply the rows to (modified in place)
+ * @param {Array} rows - Plain objects, one per game
+ * @param {Object} options - { author, initializeGame } initializeGame adds ranking fields to new games
+ * @returns {Promise<Object>} { summary, ignoredFields, rows: [{ row, id, name, action, errors }] }
+ */
+export const planGameImport = async (gameData, rows, { author, initializeGame }) => {
+  const categories = getCategories(gameData);
+  const seenIds = new Map();
+  const ignoredFields = new Set();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      results.push({ row: rowNumber, action: 'reject', errors: [{ field: '', message: 'Row must be an object' }] });
+      continue;
+    }
+
+    const data = {};
+    Object.entries(row).forEach(([field, value]) => {
+      if (!IMPORT_FIELDS.includes(field)) {
+        ignoredFields.add(field);
+      } else if (value !== undefined) {
+        data[field] = value;
+      }
+    });
+
+    const existing = data.id !== undefined ? gameData.games.find(g => g.id === data.id) : undefined;
+    const action = existing ? 'update' : 'create';
+    let errors = await validateGameFields(data, { partial: action === 'update' });
+
+    if (errors.length === 0 && data.id !== undefined && seenIds.has(data.id)) {
+      errors = [{ field: 'id', message: `Duplicate id "${data.id}" (also in row ${seenIds.get(data.id)})` }];
+    }
+
+    let game;
+    if (errors.length === 0) {
+      game = existing
+        ? buildUpdatedGame(existing, data, author)
+        : buildCreatedGame(data, index, initializeGame);
+
+      try {
+        assertUniqueGame(gameData.games, game, existing?.id);
+        assertGameCategoriesExist(categories, game, { previous: existing });
+        assertValidSchedule(game);
+      } catch (error) {
+        errors = error.errors || [{ field: '', message: error.message }];
+      }
+    }
+
+    if (errors.length > 0) {
+      results.push({ row: rowNumber, id: data.id, name: data.name, action: 'reject', errors });
+      continue;
+    }
+
+    // Later rows are checked against the games this import already added or changed
+    if (existing) {
+      gameData.games[gameData.games.indexOf(existing)] = game;
+    } else {
+      gameData.games.push(game);
+    }
+    seenIds.set(game.id, rowNumber);
+    results.push({ row: rowNumber, id: game.id, name: game.name, action });
+  }
+
+  const count = (action) => results.filter(result => result.action === action).length;
+
+  return {
+    summary: {
+      total: results.length,
+      created: count('create'),
+      updated: count('update'),
+      rejected: count('reject')
+    },
+    ignoredFields: [...ignoredFields],
+    rows: results
+  };
+};
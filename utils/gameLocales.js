@@ -0,0 +1,122 @@
+// Games keep their fallback-locale text in `name` and `description`; other locales go in
+// `translations`, e.g. { "fr": { "name": "...", "description": "..." } }. Missing translations
+// fall back to the default text, so partly translated catalogs still render.
+
+export const TRANSLATABLE_GAME_FIELDS = ['name', 'description'];
+
+// BCP 47-style tags: "fr", "pt-br", "zh-hant"
+export const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/;
+
+const normalizeLocale = (locale) => String(locale || '').trim().toLowerCase().replace(/_/g, '-');
+
+// Read lazily, after dotenv
+export const getDefaultLocale = () => normalizeLocale(process.env.DEFAULT_LOCALE) || 'en';
+
+// Configured locales, the default one first
+export const getSupportedLocales = () => {
+  const configured = (process.env.SUPPORTED_LOCALES || '')
+    .split(',')
+    .map(normalizeLocale)
+    .filter(locale => LOCALE_PATTERN.test(locale));
+  return [...new Set([getDefaultLocale(), ...configured])];
+};
+
+// Exact match first ("pt-br"), then the base language ("fr-ca" -> "fr")
+const matchLocale = (requested, supported) => {
+  const locale = normalizeLocale(requested);
+  if (supported.includes(locale)) {
+    return locale;
+  }
+  const base = locale.split('-')[0];
+  return supported.includes(base) ? base : null;
+};
+
+// "fr-CA,fr;q=0.9,en;q=0.5" -> ["fr-ca", "fr", "en"] by preference
+const parseAcceptLanguage = (header = '') => {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim(), quality: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag);
+};
+
+/**
+ * Pick the response locale: ?locale= wins, then Accept-Language, then the default locale
+ * Unsupported locales fall back instead of failing.
+ * @param {Object} req - Express request
+ * @returns {string} One of getSupportedLocales()
+ */
+export const resolveRequestLocale = (req) => {
+  const supported = getSupportedLocales();
+  const candidates = [
+    ...(req.query?.locale ? [req.query.locale] : []),
+    ...parseAcceptLanguage(req.get?.('Accept-Language'))
+  ];
+
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate, supported);
+    if (locale) {
+      return locale;
+    }
+  }
+  return getDefaultLocale();
+};
+
+/**
+ * Copy of a game with its name and description in the given locale
+ * @param {Object} game - Game
+ * @param {string} locale - Resolved locale
+ * @returns {Object} Game with translated text where available
+ */
+export const localizeGame = (game, locale) => {
+  const translation = locale !== getDefaultLocale() ? game.translations?.[locale] : undefined;
+  if (!translation) {
+    return game;
+  }
+
+  const localized = { ...game };
+  TRANSLATABLE_GAME_FIELDS.forEach(field => {
+    if (typeof translation[field] === 'string' && translation[field].trim() !== '') {
+      localized[field] = translation[field];
+    }
+  });
+  return localized;
+};
+
+export const localizeGames = (games, locale) => games.map(game => localizeGame(game, locale));
+
+/**
+ * Report the games missing translations, per configured locale (the default locale is the fallback text itself)
+ * @param {Array} games - Catalog games
+ * @returns {Object} { defaultLocale, locales, missing: { [locale]: [{ id, name, fields }] }, summary: { [locale]: { translated, missing } } }
+ */
+export const findMissingTranslations = (games = []) => {
+  const defaultLocale = getDefaultLocale();
+  const locales = getSupportedLocales().filter(locale => locale !== defaultLocale);
+  const missing = {};
+  const summary = {};
+
+  locales.forEach(locale => {
+    missing[locale] = games
+      .map(game => ({
+        id: game.id,
+        name: game.name,
+        fields: TRANSLATABLE_GAME_FIELDS.filter(field =>
+          game[field] && !(typeof game.translations?.[locale]?.[field] === 'string' && game.translations[locale][field].trim() !== '')
+        )
+      }))
+      .filter(entry => entry.fields.length > 0);
+
+    summary[locale] = {
+      translated: games.length - missing[locale].length,
+      missing: missing[locale].length
+    };
+  });
+
+  return { defaultLocale, locales, missing, summary };
+};
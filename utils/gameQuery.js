@@ -0,0 +1,143 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { getGameCategoryIds } from './categories.js';
+import { parseTagFilter, matchesTags } from './gameTags.js';
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted by ?sort=, with the direction each defaults to
+const SORTS = {
+  name: { order: 'asc', value: (game) => (game.name || '').toLowerCase() },
+  rank: { order: 'asc', value: (game) => game.rank ?? Number.MAX_SAFE_INTEGER },
+  plays: { order: 'desc', value: (game) => game.playCount || 0 },
+  newest: { order: 'desc', value: (game) => Date.parse(game.createdAt) || 0 }
+};
+
+export const GAME_SORTS = Object.keys(SORTS);
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || typeof decoded !== 'object' || !('id' in decoded)) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+  return decoded;
+};
+
+/**
+ * Filter, sort, paginate and project a list of games
+ * @param {Array} games - Catalog games
+ * @param {Object} query - Request query: category, tags, tagMatch (any|all), size, active, status, createdFrom, createdTo,
+ *   sort (name|rank|plays|newest), order (asc|desc), fields, page, limit, cursor
+ * @returns {Object} { games, pagination }
+ */
+export const queryGames = (games = [], query = {}) => {
+  const categories = splitList(query.category);
+  const tags = parseTagFilter(query.tags);
+  const sizes = splitList(query.size);
+  const statuses = splitList(query.status);
+  const createdFrom = query.createdFrom ? Date.parse(query.createdFrom) : null;
+  const createdTo = query.createdTo ? Date.parse(query.createdTo) : null;
+
+  // Filter
+  const filtered = games.filter(game => {
+    if (categories.length > 0 && !getGameCategoryIds(game).some(id => categories.includes(id))) {
+      return false;
+    }
+    if (!matchesTags(game, tags, query.tagMatch)) {
+      return false;
+    }
+    if (sizes.length > 0 && !sizes.includes(game.size || 'small')) {
+      return false;
+    }
+    if (statuses.length > 0 && !statuses.includes(game.status)) {
+      return false;
+    }
+    if (query.active !== undefined && (game.isActive !== false) !== (query.active === 'true')) {
+      return false;
+    }
+    if (createdFrom !== null || createdTo !== null) {
+      const created = Date.parse(game.createdAt);
+      if (Number.isNaN(created)) {
+        return false;
+      }
+      if ((createdFrom !== null && created < createdFrom) || (createdTo !== null && created > createdTo)) {
+        return false;
+      }
+    }
+    return true;
+  });
+
+  // Sort (catalog order when no sort is given); id breaks ties so cursors are stable
+  const sortKey = query.sort || 'catalog';
+  const catalogIndex = new Map(games.map((game, index) => [game.id, index]));
+  const sortValue = SORTS[sortKey]?.value || ((game) => catalogIndex.get(game.id));
+  const order = query.order || SORTS[sortKey]?.order || 'asc';
+  const direction = order === 'desc' ? -1 : 1;
+
+  const compare = (a, b) => direction * (compareValues(a.value, b.value) || compareValues(String(a.id), String(b.id)));
+
+  const sorted = filtered
+    .map(game => ({ game, id: game.id, value: sortValue(game) }))
+    .sort(compare);
+
+  // Paginate with a cursor (infinite scroll) or page/limit (numbered pages); no params returns everything
+  const paginate = query.cursor !== undefined || query.page !== undefined || query.limit !== undefined;
+  const limit = paginate
+    ? Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    : sorted.length;
+  let start = 0;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (cursor.sort !== sortKey || cursor.order !== order) {
+      throw createHttpError(400, 'Cursor was created with a different sort order');
+    }
+    const position = sorted.findIndex(entry => compare(entry, cursor) > 0);
+    start = position === -1 ? sorted.length : position;
+  } else if (query.page !== undefined) {
+    start = (Math.max(parseInt(query.page) || 1, 1) - 1) * limit;
+  }
+
+  const pageEntries = sorted.slice(start, start + limit);
+  const hasMore = start + pageEntries.length < sorted.length;
+  const last = pageEntries[pageEntries.length - 1];
+
+  // Project (id is always included so clients can address the game)
+  const fields = splitList(query.fields);
+  const projected = pageEntries.map(({ game }) => {
+    if (fields.length === 0) {
+      return game;
+    }
+    return Object.fromEntries(
+      ['id', ...fields.filter(field => field !== 'id')]
+        .filter(field => field in game)
+        .map(field => [field, game[field]])
+    );
+  });
+
+  const pagination = {
+    total: sorted.length,
+    count: projected.length,
+    limit,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor({ sort: sortKey, order, value: last.value, id: last.id }) : null
+  };
+
+  if (!query.cursor) {
+    pagination.page = Math.floor(start / (limit || 1)) + 1;
+    pagination.totalPages = limit > 0 ? Math.ceil(sorted.length / limit) : 0;
+  }
+
+  return { games: projected, pagination };
+};
@@ -0,0 +1,84 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+
+// Publication status is derived from isDraft, publishAt and unpublishAt whenever a game is read,
+// so scheduled launches and expiries take effect without a background job.
+export const GAME_STATUSES = ['draft', 'scheduled', 'live', 'expired'];
+
+const toTime = (value) => (value ? Date.parse(value) : NaN);
+
+/**
+ * Publication status of a game
+ * - draft: isDraft is set (never shown publicly, whatever the dates say)
+ * - scheduled: publishAt is in the future
+ * - expired: unpublishAt has passed
+ * - live: everything else (games without dates are live, as before)
+ * @param {Object} game - Game
+ * @param {number} [now] - Reference time in ms
+ * @returns {string} One of GAME_STATUSES
+ */
+export const getGameStatus = (game, now = Date.now()) => {
+  if (game.isDraft === true) {
+    return 'draft';
+  }
+  if (toTime(game.publishAt) > now) {
+    return 'scheduled';
+  }
+  if (toTime(game.unpublishAt) <= now) {
+    return 'expired';
+  }
+  return 'live';
+};
+
+export const isGameLive = (game, now = Date.now()) => getGameStatus(game, now) === 'live';
+
+// Only the games the public site should show right now
+export const filterLiveGames = (games = [], now = Date.now()) => games.filter(game => isGameLive(game, now));
+
+// Time (ms) of the next publishAt/unpublishAt still ahead, when a game's status will change; null if none
+export const getNextScheduleChange = (games = [], now = Date.now()) => {
+  const upcoming = games
+    .filter(game => game.isDraft !== true)
+    .flatMap(game => [toTime(game.publishAt), toTime(game.unpublishAt)])
+    .filter(time => time > now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+};
+
+// Copy of a game with its current status attached
+export const withGameStatus = (game, now = Date.now()) => ({ ...game, status: getGameStatus(game, now) });
+
+// Throw a 400 if a game would be unpublished before (or when) it is published
+export const assertValidSchedule = (game, prefix = '') => {
+  const publishAt = toTime(game.publishAt);
+  const unpublishAt = toTime(game.unpublishAt);
+
+  if (!Number.isNaN(publishAt) && !Number.isNaN(unpublishAt) && unpublishAt <= publishAt) {
+    const error = createHttpError(400, 'unpublishAt must be later than publishAt');
+    error.errors = [{ field: `${prefix}unpublishAt`, message: 'unpublishAt must be later than publishAt' }];
+    throw error;
+  }
+};
+
+/**
+ * Group games for the publishing calendar
+ * @param {Array} games - Catalog games
+ * @param {Object} options - { days } window for "expiring soon"; now
+ * @returns {Object} { drafts, upcoming, expiringSoon, expired } each sorted by the relevant date
+ */
+export const buildPublishingSchedule = (games = [], { days = 30, now = Date.now() } = {}) => {
+  const horizon = now + days * 24 * 60 * 60 * 1000;
+  const annotated = games.map(game => withGameStatus(game, now));
+  const byDate = (field, direction = 1) => (a, b) => direction * (toTime(a[field]) - toTime(b[field]));
+
+  return {
+    drafts: annotated.filter(game => game.status === 'draft'),
+    upcoming: annotated
+      .filter(game => game.status === 'scheduled')
+      .sort(byDate('publishAt')),
+    expiringSoon: annotated
+      .filter(game => game.status === 'live' && toTime(game.unpublishAt) <= horizon)
+      .sort(byDate('unpublishAt')),
+    expired: annotated
+      .filter(game => game.status === 'expired')
+      .sort(byDate('unpublishAt', -1))
+  };
+};
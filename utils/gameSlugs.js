@@ -0,0 +1,47 @@
+// Turn a game name into a URL slug ("My Game!" -> "my-game")
+export const toSlug = (value) => {
+  return (value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+/**
+ * Find a game by its current slug, falling back to slugs it used before
+ * @param {Array} games - Catalog games
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|null} { game, canonicalSlug, isCanonical } or null when no game has used the slug
+ */
+export const findGameBySlug = (games = [], slug) => {
+  const current = games.find(g => g.slug === slug);
+  if (current) {
+    return { game: current, canonicalSlug: current.slug, isCanonical: true };
+  }
+
+  const renamed = games.find(g => Array.isArray(g.previousSlugs) && g.previousSlugs.includes(slug));
+  if (renamed) {
+    return { game: renamed, canonicalSlug: renamed.slug, isCanonical: false };
+  }
+
+  return null;
+};
+
+/**
+ * Remember the old slug when an edit changes it, so old links keep resolving
+ * @param {Object} previousGame - Game before the edit
+ * @param {Object} updatedGame - Game after the edit (modified in place)
+ * @returns {Object} updatedGame
+ */
+export const recordSlugChange = (previousGame, updatedGame) => {
+  const history = previousGame.previousSlugs || [];
+
+  if (previousGame.slug && previousGame.slug !== updatedGame.slug) {
+    updatedGame.previousSlugs = [...new Set([...history, previousGame.slug])]
+      .filter(slug => slug !== updatedGame.slug);
+  } else if (history.length > 0) {
+    updatedGame.previousSlugs = history;
+  }
+
+  return updatedGame;
+};
@@ -0,0 +1,46 @@
+export const MAX_TAGS_PER_GAME = 30;
+export const MAX_TAG_LENGTH = 50;
+
+// Tags are free-form but compared case-insensitively: "  Multi  Player " -> "multi player"
+export const normalizeTag = (tag) => String(tag ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Normalize, drop empties and de-duplicate, keeping first-seen order
+export const normalizeTags = (tags) => {
+  return [...new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean))];
+};
+
+// Parse a comma-separated ?tags= filter
+export const parseTagFilter = (value) => normalizeTags(value ? String(value).split(',') : []);
+
+/**
+ * Check a game against a tag filter
+ * @param {Object} game - Game
+ * @param {Array} tags - Normalized tags to look for (empty matches every game)
+ * @param {string} match - 'any' (at least one tag) or 'all' (every tag)
+ * @returns {boolean}
+ */
+export const matchesTags = (game, tags, match = 'any') => {
+  if (!tags || tags.length === 0) {
+    return true;
+  }
+  const gameTags = new Set(normalizeTags(game.tags));
+  return match === 'all'
+    ? tags.every(tag => gameTags.has(tag))
+    : tags.some(tag => gameTags.has(tag));
+};
+
+/**
+ * Count how many games use each tag
+ * @param {Array} games - Games to index
+ * @returns {Array} [{ tag, count }] most used first, then alphabetical
+ */
+export const buildTagIndex = (games = []) => {
+  const counts = new Map();
+  games.forEach(game => {
+    normalizeTags(game.tags).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,299 @@
+import { getStorageDriver } from './storage/index.js';
+import { readJsonDocument, mutateJsonDocument } from './storage/jsonDocuments.js';
+import { createHttpError } from '../middleware/errorHandler.js';
+import { assertUniqueGame } from '../middleware/validateGame.js';
+import {
+  readGameData,
+  mutateGameData,
+  readSiteSettings,
+  deleteFileFromS3,
+  listFilesInS3
+} from './s3Manager.js';
+import { getSiteSettingsDraft, getPreviousSiteSettings } from './siteSettingsWorkflow.js';
+import { listGameDataSnapshots, getGameDataSnapshot } from './gameHistory.js';
+import { getCategories, assertGameCategoriesExist } from './categories.js';
+import { getGameAssets, collectReferencedKeys, isAssetReferenced, isKeyReferenced } from './assetReferences.js';
+
+// Deleted games wait here (outside public/) until they are restored or purged
+const TRASH_KEY = 'trash/games.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read lazily, after dotenv
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const getPurgeIntervalMs = () => parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const isStorageConfigured = () => getStorageDriver().isConfigured();
+
+const notConfiguredError = () => {
+  const error = new Error('Storage is not configured, the trash is unavailable');
+  error.status = 503;
+  return error;
+};
+
+const normalizeTrash = (data) => ({ items: Array.isArray(data?.items) ? data.items : [] });
+
+const mutateTrash = (mutator) => mutateJsonDocument(TRASH_KEY, {
+  normalize: normalizeTrash,
+  mutator,
+  label: 'game trash'
+});
+
+/**
+ * List trashed games, most recently deleted first
+ * @returns {Promise<Array>} [{ game, deletedAt, deletedBy, purgeAfter }]
+ */
+export const listTrashedGames = async () => {
+  if (!isStorageConfigured()) {
+    return [];
+  }
+  const { data } = await readJsonDocument(TRASH_KEY);
+  return normalizeTrash(data).items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+/**
+ * Trash entry for a game removed from the catalog
+ * @param {Object} game - The removed game
+ * @param {string} author - User deleting it
+ * @param {Date} [deletedAt] - Deletion time
+ * @returns {Object} { game, deletedAt, deletedBy, purgeAfter }
+ */
+export const buildTrashEntry = (game, author, deletedAt = new Date()) => ({
+  game,
+  deletedAt: deletedAt.toISOString(),
+  deletedBy: author,
+  purgeAfter: new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS).toISOString()
+});
+
+/**
+ * Store entries in the trash; a game deleted again after a restore replaces its older entry
+ * @param {Array} entries - buildTrashEntry() results
+ * @returns {Promise<void>}
+ */
+export const addToTrash = async (entries) => {
+  if (!isStorageConfigured()) {
+    throw notConfiguredError();
+  }
+  const ids = new Set(entries.map(entry => entry.game.id));
+  await mutateTrash((trash) => {
+    trash.items = [...trash.items.filter(item => !ids.has(item.game.id)), ...entries];
+  });
+};
+
+/**
+ * Move a game from the catalog to the trash
+ * @param {string} gameId - Game to delete
+ * @param {string} author - User deleting it
+ * @returns {Promise<Object>} The trash entry
+ */
+export const trashGame = async (gameId, author) => {
+  if (!isStorageConfigured()) {
+    throw notConfiguredError();
+  }
+
+  let entry;
+  await mutateGameData((gameData) => {
+    const gameIndex = gameData.games.findIndex(g => g.id === gameId);
+    if (gameIndex === -1) {
+      throw createHttpError(404, 'Game not found');
+    }
+
+    entry = buildTrashEntry(gameData.games[gameIndex], author);
+    gameData.games.splice(gameIndex, 1);
+  }, { author, reason: `delete game ${gameId}` });
+
+  try {
+    await addToTrash([entry]);
+  } catch (error) {
+    // Don't lose the game: put it back in the catalog
+    console.error(`❌ Failed to move game ${gameId} to the trash, restoring it:`, error.message);
+    await mutateGameData((gameData) => {
+      gameData.games.push(entry.game);
+    }, { author, reason: `undo delete of game ${gameId}` });
+    throw error;
+  }
+
+  console.log(`🗑️ Game ${gameId} moved to trash by ${author}`);
+  return entry;
+};
+
+/**
+ * Put a trashed game back in the catalog
+ * Fails with 409 if its id or slug has been reused, and 400 if one of its categories is gone.
+ * @param {string} gameId - Trashed game
+ * @param {string} author - User restoring it
+ * @returns {Promise<Object>} The restored game
+ */
+export const restoreTrashedGame = async (gameId, author) => {
+  if (!isStorageConfigured()) {
+    throw notConfiguredError();
+  }
+
+  const entry = (await listTrashedGames()).find(item => item.game.id === gameId);
+  if (!entry) {
+    throw createHttpError(404, 'Game not found in trash');
+  }
+
+  const restored = {
+    ...entry.game,
+    updatedAt: new Date().toISOString(),
+    updatedBy: author
+  };
+
+  await mutateGameData((gameData) => {
+    assertUniqueGame(gameData.games, restored);
+    assertGameCategoriesExist(getCategories(gameData), restored);
+    gameData.games.push(restored);
+  }, { author, reason: `restore game ${gameId} from trash` });
+
+  await mutateTrash((trash) => {
+    trash.items = trash.items.filter(item => item.game.id !== gameId);
+  });
+
+  console.log(`♻️ Game ${gameId} restored from trash by ${author}`);
+  return restored;
+};
+
+/**
+ * Storage keys still used by the catalog, trashed games, game history snapshots or any version
+ * of the site settings. Anything a restore or a revert can bring back counts as used.
+ * Every document is read with a throwing reader: a failed read must abort the deletion that
+ * relies on this, not make live assets look unused.
+ * @param {Object} [options]
+ * @param {Array} [options.trashItems] - Trash entries to count (defaults to the whole trash)
+ * @param {boolean} [options.includeSnapshots] - Count history snapshots too. Purges leave them out:
+ *   snapshots outlive the trash retention, so a purged game's files would never be deleted.
+ * @returns {Promise<Set>} Referenced keys
+ */
+export const getReferencedAssetKeys = async ({ trashItems, includeSnapshots = true } = {}) => {
+  const [gameData, siteSettings, draft, previous, trash, snapshots] = await Promise.all([
+    readGameData(),
+    readSiteSettings(),
+    getSiteSettingsDraft(),
+    getPreviousSiteSettings(),
+    trashItems || listTrashedGames(),
+    includeSnapshots ? listGameDataSnapshots() : []
+  ]);
+
+  const keys = collectReferencedKeys([
+    gameData,
+    trash.map(item => item.game),
+    siteSettings,
+    draft?.settings,
+    previous?.settings
+  ]);
+
+  // One snapshot at a time: each holds a whole catalog
+  for (const { id } of snapshots) {
+    const snapshot = await getGameDataSnapshot(id);
+    collectReferencedKeys([snapshot?.data]).forEach(key => keys.add(key));
+  }
+  return keys;
+};
+
+// Delete a game's assets unless something else still references them
+const deleteGameAssets = async (game, referencedKeys) => {
+  const deleted = [];
+  const kept = [];
+
+  for (const asset of getGameAssets(game)) {
+    if (isAssetReferenced(asset, referencedKeys)) {
+      kept.push(asset.prefix || asset.key);
+      continue;
+    }
+
+    // A legacy build folder also lists the newer build-<id>/ folders inside it; keep those still in use
+    const keys = asset.prefix
+      ? (await listFilesInS3(asset.prefix)).map(object => object.key).filter(key => !isKeyReferenced(key, referencedKeys))
+      : [asset.key];
+
+    for (const key of keys) {
+      try {
+        await deleteFileFromS3(key);
+        deleted.push(key);
+      } catch (error) {
+        // Leave it for the orphaned asset cleanup rather than failing the purge
+        console.error(`❌ Failed to delete ${key}:`, error.message);
+      }
+    }
+  }
+
+  return { deleted, kept };
+};
+
+/**
+ * Permanently remove trashed games and their unreferenced assets
+ * @param {Function} select - (entry) => boolean, which trash entries to purge
+ * @returns {Promise<Array>} [{ id, name, deletedAssets, keptAssets }]
+ */
+const purgeTrash = async (select) => {
+  let purged = [];
+  let remaining = [];
+
+  // Drop the entries first so a failure below never leaves a purged game restorable without its files
+  await mutateTrash((trash) => {
+    purged = trash.items.filter(select);
+    remaining = trash.items.filter(item => !select(item));
+    trash.items = remaining;
+  });
+
+  if (purged.length === 0) {
+    return [];
+  }
+
+  const referencedKeys = await getReferencedAssetKeys({ trashItems: remaining, includeSnapshots: false });
+  const results = [];
+  for (const { game } of purged) {
+    const { deleted, kept } = await deleteGameAssets(game, referencedKeys);
+    results.push({ id: game.id, name: game.name, deletedAssets: deleted, keptAssets: kept });
+    console.log(`🔥 Purged game ${game.id} (${deleted.length} files deleted, ${kept.length} assets still in use)`);
+  }
+  return results;
+};
+
+/**
+ * Purge one trashed game now
+ * @param {string} gameId - Trashed game
+ * @returns {Promise<Object>} { id, name, deletedAssets, keptAssets }
+ */
+export const purgeTrashedGame = async (gameId) => {
+  if (!isStorageConfigured()) {
+    throw notConfiguredError();
+  }
+
+  const [result] = await purgeTrash(item => item.game.id === gameId);
+  if (!result) {
+    throw createHttpError(404, 'Game not found in trash');
+  }
+  return result;
+};
+
+/**
+ * Purge every trashed game past its retention period
+ * @returns {Promise<Array>} One result per purged game
+ */
+export const purgeExpiredTrash = async () => {
+  if (!isStorageConfigured()) {
+    return [];
+  }
+  const now = Date.now();
+  return purgeTrash(item => Date.parse(item.purgeAfter) <= now);
+};
+
+let purgeTimer = null;
+
+// Purge expired games now and then every TRASH_PURGE_INTERVAL_MS
+export const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash().catch(error => {
+    console.error('❌ Trash purge failed:', error.message);
+  });
+
+  run();
+  purgeTimer = setInterval(run, getPurgeIntervalMs());
+  purgeTimer.unref();
+};
+
+export const stopTrashPurge = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
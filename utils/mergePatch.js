@@ -0,0 +1,28 @@
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) without modifying the target
+ * - fields in the patch replace fields in the target; nested objects are merged recursively
+ * - null removes a field
+ * - arrays (and any non-object value) replace the target value wholesale
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} The patched document
+ */
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
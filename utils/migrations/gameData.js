@@ -0,0 +1,62 @@
+import GameRankingService from '../../services/GameRankingService.js';
+import { toSlug } from '../gameSlugs.js';
+import { normalizeTags } from '../gameTags.js';
+import { normalizeGameCategories } from '../categories.js';
+
+// Only the pure ranking helpers are used, so no storage is needed
+const ranking = new GameRankingService(null);
+
+// Fields of the first game format, replaced by the *_url fields or dropped
+const LEGACY_GAME_FIELDS = ['thumbnail', 'logo', 'gif', 'htmlFile', 'developer', 'releaseDate', 'ageRating', 'languages'];
+
+/**
+ * game-data.json migrations, oldest first. Step N upgrades a version N-1 document to version N.
+ * Documents written before versioning are version 0. Steps must leave already-current data unchanged.
+ */
+export default [
+  {
+    version: 1,
+    description: 'Wrap a bare array of games in { games: [...] }',
+    up: (data) => (Array.isArray(data)
+      ? { games: data }
+      : { ...data, games: Array.isArray(data.games) ? data.games : [] })
+  },
+  {
+    // Formerly migrate-games-to-ranking.js
+    version: 2,
+    description: 'Add ranking fields (playCount, rank, isActive, lastPlayed) to games without them',
+    up: (data) => {
+      let migrated = 0;
+      const games = data.games.map(game => {
+        if (game.playCount !== undefined && game.rank !== undefined) {
+          return game;
+        }
+        migrated++;
+        return { ...ranking.initializeGameRanking(game), createdAt: game.createdAt || new Date().toISOString() };
+      });
+      return { ...data, games: migrated > 0 ? ranking.calculateRankings(games) : games };
+    }
+  },
+  {
+    // Formerly POST /api/games/migrate
+    version: 3,
+    description: 'Convert legacy game fields (thumbnail, logo, gif, htmlFile, developer, ...) to the current format',
+    up: (data) => ({
+      ...data,
+      games: data.games.map(game => {
+        const converted = {
+          ...game,
+          slug: game.slug || toSlug(game.name),
+          thumb_url: game.thumb_url || game.thumbnail || '',
+          logo_url: game.logo_url || game.logo || game.thumbnail || '',
+          gif_url: game.gif_url || game.gif || '',
+          play_url: game.play_url || (game.htmlFile ? `games/${game.name}/` : ''),
+          size: game.size || 'small',
+          tags: normalizeTags(game.tags)
+        };
+        LEGACY_GAME_FIELDS.forEach(field => delete converted[field]);
+        return normalizeGameCategories(converted);
+      })
+    })
+  }
+];
@@ -0,0 +1,101 @@
+import { createHttpError } from '../../middleware/errorHandler.js';
+import gameDataMigrations from './gameData.js';
+import siteSettingsMigrations from './siteSettings.js';
+
+// Stored JSON documents carry a top-level schemaVersion. Reading upgrades older documents in
+// memory; every write stores the current version. A document written by a newer server is
+// never overwritten, since this server would silently drop whatever it doesn't understand.
+
+export const SCHEMA_DOCUMENTS = {
+  'game-data': { key: 'public/game-data.json', migrations: gameDataMigrations },
+  'site-settings': { key: 'public/site-settings.json', migrations: siteSettingsMigrations }
+};
+
+const getDocument = (name) => {
+  const document = SCHEMA_DOCUMENTS[name];
+  if (!document) {
+    throw new Error(`Unknown schema document "${name}"`);
+  }
+  return document;
+};
+
+// The version this server writes: the last registered step
+export const getCurrentSchemaVersion = (name) => {
+  const { migrations } = getDocument(name);
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+};
+
+// Documents from before versioning (including a bare array of games) are version 0
+export const getSchemaVersion = (data) => {
+  return data && !Array.isArray(data) && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+};
+
+const schemaTooNewError = (name, version, current) => {
+  const error = createHttpError(409, `${name} has schema version ${version}, newer than this server supports (${current}); upgrade the server before changing it`);
+  error.code = 'SCHEMA_VERSION_TOO_NEW';
+  return error;
+};
+
+/**
+ * Upgrade a stored document to the current schema
+ * @param {string} name - Key of SCHEMA_DOCUMENTS
+ * @param {Object|Array} data - Parsed document (not modified)
+ * @returns {Object} { data, fromVersion, toVersion, applied: [{ version, description }] }
+ * @throws 409 with code SCHEMA_VERSION_TOO_NEW when the document is newer than this server
+ */
+export const migrateDocument = (name, data) => {
+  const { migrations } = getDocument(name);
+  const fromVersion = getSchemaVersion(data);
+  const toVersion = getCurrentSchemaVersion(name);
+
+  if (fromVersion > toVersion) {
+    throw schemaTooNewError(name, fromVersion, toVersion);
+  }
+
+  const pending = migrations.filter(migration => migration.version > fromVersion);
+  const migrated = pending.reduce((current, migration) => migration.up(current), structuredClone(data));
+
+  // schemaVersion first, so it is the first thing seen when the file is opened
+  const { schemaVersion, ...rest } = migrated;
+  return {
+    data: { schemaVersion: toVersion, ...rest },
+    fromVersion,
+    toVersion,
+    applied: pending.map(({ version, description }) => ({ version, description }))
+  };
+};
+
+// Whether a read failure is a document from a newer server (reads fall back to the data as-is)
+export const isSchemaTooNew = (error) => error?.code === 'SCHEMA_VERSION_TOO_NEW';
+
+/**
+ * List the changes between two JSON values as paths ("games[3].thumb_url")
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {number} [limit] - Stop after this many changes
+ * @returns {Object} { changes: [{ path, from, to }], truncated }
+ */
+export const diffJson = (before, after, limit = 500) => {
+  const changes = [];
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  const walk = (from, to, path) => {
+    if (changes.length > limit) {
+      return;
+    }
+    if (Array.isArray(from) && Array.isArray(to)) {
+      for (let i = 0; i < Math.max(from.length, to.length); i++) {
+        walk(from[i], to[i], `${path}[${i}]`);
+      }
+    } else if (isObject(from) && isObject(to) && !Array.isArray(from) && !Array.isArray(to)) {
+      new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+        walk(from[key], to[key], path ? `${path}.${key}` : key);
+      });
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: path || '(document)', from, to });
+    }
+  };
+
+  walk(before, after, '');
+  return { changes: changes.slice(0, limit), truncated: changes.length > limit };
+};
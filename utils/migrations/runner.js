@@ -0,0 +1,94 @@
+import { getStorageDriver } from '../storage/index.js';
+import { readJsonDocument, writeJsonDocument } from '../storage/jsonDocuments.js';
+import { mutateGameData, mutateSiteSettings } from '../s3Manager.js';
+import {
+  SCHEMA_DOCUMENTS,
+  migrateDocument,
+  getSchemaVersion,
+  getCurrentSchemaVersion,
+  diffJson
+} from './index.js';
+
+// Copies of documents taken right before a migration rewrites them (outside public/)
+const MIGRATION_BACKUP_PREFIX = 'history/migrations';
+
+// Rewrite a document through its normal update path, which migrates it and stamps the version
+const writers = {
+  'game-data': (author, toVersion) => mutateGameData(() => {}, { author, reason: `schema migration to v${toVersion}` }),
+  'site-settings': () => mutateSiteSettings(() => {})
+};
+
+const notConfiguredError = () => {
+  const error = new Error('Storage is not configured, there are no stored documents to migrate');
+  error.status = 503;
+  return error;
+};
+
+/**
+ * Schema version of each stored document and the steps it is waiting for
+ * @returns {Promise<Array>} [{ document, key, exists, storedVersion, currentVersion, pending: [{ version, description }] }]
+ */
+export const getSchemaStatus = async () => {
+  const results = [];
+  for (const [name, { key, migrations }] of Object.entries(SCHEMA_DOCUMENTS)) {
+    const { data } = getStorageDriver().isConfigured() ? await readJsonDocument(key) : { data: null };
+    const storedVersion = getSchemaVersion(data);
+    results.push({
+      document: name,
+      key,
+      exists: Boolean(data),
+      storedVersion: data ? storedVersion : null,
+      currentVersion: getCurrentSchemaVersion(name),
+      pending: data
+        ? migrations.filter(m => m.version > storedVersion).map(({ version, description }) => ({ version, description }))
+        : []
+    });
+  }
+  return results;
+};
+
+/**
+ * Bring stored documents up to the current schema
+ * Each document that changes is first copied to history/migrations/ so it can be restored by hand.
+ * @param {Object} options - { documents (default: all), dryRun, author }
+ * @returns {Promise<Array>} [{ document, status, fromVersion, toVersion, applied, diff, backupKey }]
+ *   status is "missing", "up-to-date", "pending" (dry run) or "migrated"
+ */
+export const runSchemaMigrations = async ({ documents = Object.keys(SCHEMA_DOCUMENTS), dryRun = false, author = 'system' } = {}) => {
+  if (!getStorageDriver().isConfigured()) {
+    throw notConfiguredError();
+  }
+
+  const results = [];
+  for (const name of documents) {
+    const { key } = SCHEMA_DOCUMENTS[name];
+    const { data: stored } = await readJsonDocument(key);
+
+    if (!stored) {
+      results.push({ document: name, status: 'missing' });
+      continue;
+    }
+
+    // Throws (409) for a document written by a newer server
+    const { data: migrated, fromVersion, toVersion, applied } = migrateDocument(name, stored);
+    const diff = diffJson(stored, migrated);
+    const result = { document: name, fromVersion, toVersion, applied, diff };
+
+    if (diff.changes.length === 0) {
+      results.push({ ...result, status: 'up-to-date' });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ...result, status: 'pending' });
+      continue;
+    }
+
+    const backupKey = `${MIGRATION_BACKUP_PREFIX}/${name}-v${fromVersion}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    await writeJsonDocument(backupKey, stored);
+    await writers[name](author, toVersion);
+
+    console.log(`🧬 Migrated ${name} from schema v${fromVersion} to v${toVersion} (backup: ${backupKey})`);
+    results.push({ ...result, status: 'migrated', backupKey });
+  }
+  return results;
+};
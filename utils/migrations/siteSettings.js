@@ -0,0 +1,27 @@
+// site-settings.json migrations, oldest first (see gameData.js for the rules)
+export default [
+  {
+    // Formerly fix-site-settings-json.js
+    version: 1,
+    description: 'Flatten social links saved with a nested url object ({ url: { url, icon, ... } })',
+    up: (settings) => {
+      if (!settings.socialLinks || typeof settings.socialLinks !== 'object') {
+        return settings;
+      }
+
+      const socialLinks = Object.fromEntries(Object.entries(settings.socialLinks).map(([platform, link]) => {
+        if (!link || typeof link !== 'object' || !link.url || typeof link.url !== 'object') {
+          return [platform, link];
+        }
+        return [platform, {
+          url: link.url.url || '',
+          icon: link.url.icon || link.icon || '',
+          active: link.url.active !== undefined ? link.url.active : link.active,
+          label: link.url.label || link.label || platform.charAt(0).toUpperCase() + platform.slice(1)
+        }];
+      }));
+
+      return { ...settings, socialLinks };
+    }
+  }
+];
@@ -0,0 +1,113 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { listFilesInS3, deleteFileFromS3 } from './s3Manager.js';
+import { isKeyReferenced } from './assetReferences.js';
+import { getReferencedAssetKeys } from './gameTrash.js';
+
+// Upload folders that only ever hold files referenced from game-data.json or site-settings.json
+export const ORPHAN_SCAN_PREFIXES = ['public/thumbnail/', 'public/gif/', 'public/games/', 'public/assets/'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read lazily, after dotenv
+export const getOrphanGraceDays = () => {
+  const days = parseInt(process.env.ORPHAN_GRACE_DAYS);
+  return Number.isNaN(days) ? 7 : days;
+};
+
+// Only scan inside public/ so JSON documents, history and the trash are never touched
+const normalizePrefixes = (prefixes) => {
+  if (!prefixes || prefixes.length === 0) {
+    return ORPHAN_SCAN_PREFIXES;
+  }
+  return prefixes.map(prefix => {
+    const normalized = String(prefix).trim().replace(/^\/+/, '').replace(/\/*$/, '/');
+    if (!normalized.startsWith('public/') || normalized === 'public/' || normalized.split('/').includes('..')) {
+      throw createHttpError(400, `Invalid prefix "${prefix}": scan a folder inside public/`);
+    }
+    return normalized;
+  });
+};
+
+/**
+ * List stored objects that nothing references any more
+ * Uploads newer than the grace period are reported but never deletable: the game or
+ * settings that will reference them may not have been saved yet.
+ * @param {Object} options - { prefixes, graceDays }
+ * @returns {Promise<Object>} { scannedAt, prefixes, graceDays, summary, orphans: [{ key, size, lastModified, ageDays, deletable }] }
+ */
+export const scanOrphanedAssets = async ({ prefixes, graceDays = getOrphanGraceDays() } = {}) => {
+  const scanPrefixes = normalizePrefixes(prefixes);
+  const now = Date.now();
+
+  // References first: an upload saved to a game during the listing then counts as too new to delete
+  const referencedKeys = await getReferencedAssetKeys();
+  const objects = (await Promise.all(scanPrefixes.map(prefix => listFilesInS3(prefix)))).flat();
+
+  const seen = new Set();
+  const orphans = objects
+    .filter(object => {
+      if (seen.has(object.key)) {
+        return false;
+      }
+      seen.add(object.key);
+      return !isKeyReferenced(object.key, referencedKeys);
+    })
+    .map(object => {
+      const lastModified = new Date(object.lastModified);
+      const ageDays = Math.floor((now - lastModified.getTime()) / DAY_MS);
+      return {
+        key: object.key,
+        size: object.size,
+        lastModified: lastModified.toISOString(),
+        ageDays,
+        deletable: ageDays >= graceDays
+      };
+    })
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  const deletable = orphans.filter(orphan => orphan.deletable);
+  const totalSize = (items) => items.reduce((sum, item) => sum + (item.size || 0), 0);
+
+  return {
+    scannedAt: new Date(now).toISOString(),
+    prefixes: scanPrefixes,
+    graceDays,
+    summary: {
+      scanned: seen.size,
+      orphaned: orphans.length,
+      orphanedSize: totalSize(orphans),
+      deletable: deletable.length,
+      deletableSize: totalSize(deletable)
+    },
+    orphans
+  };
+};
+
+/**
+ * Delete orphaned objects older than the grace period
+ * @param {Object} options - { prefixes, graceDays, dryRun } dryRun only reports what would be deleted
+ * @returns {Promise<Object>} The scan report plus { dryRun, deleted, failed }
+ */
+export const deleteOrphanedAssets = async ({ prefixes, graceDays, dryRun = false } = {}) => {
+  const report = await scanOrphanedAssets({ prefixes, graceDays });
+  const targets = report.orphans.filter(orphan => orphan.deletable).map(orphan => orphan.key);
+
+  if (dryRun) {
+    return { ...report, dryRun, deleted: targets, failed: [] };
+  }
+
+  const deleted = [];
+  const failed = [];
+  for (const key of targets) {
+    try {
+      await deleteFileFromS3(key);
+      deleted.push(key);
+    } catch (error) {
+      console.error(`❌ Failed to delete orphaned asset ${key}:`, error.message);
+      failed.push(key);
+    }
+  }
+
+  console.log(`🧹 Deleted ${deleted.length} orphaned assets (${failed.length} failed)`);
+  return { ...report, dryRun, deleted, failed };
+};
@@ -0,0 +1,106 @@
+import { getGameCategoryIds } from './categories.js';
+import { normalizeTags } from './gameTags.js';
+
+export const DEFAULT_RELATED_LIMIT = 6;
+export const MAX_RELATED_LIMIT = 24;
+
+// How much each kind of similarity adds to a candidate's score
+const WEIGHTS = {
+  primaryCategory: 3,
+  sharedCategory: 2,
+  tags: 4,
+  size: 0.5,
+  text: 3
+};
+
+// Popularity multiplies relevance by at most 1 + POPULARITY_BOOST, so it breaks ties between
+// similar games without letting a hit in another genre outrank a close match
+const POPULARITY_BOOST = 0.5;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'this', 'that', 'from', 'are', 'can', 'all',
+  'game', 'games', 'play', 'online', 'free', 'new', 'into', 'its', 'out', 'get', 'has', 'have'
+]);
+
+// Distinct words of a game's name and description, without stop words and very short words
+const getWords = (game) => new Set(
+  `${game.name || ''} ${game.description || ''}`
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+);
+
+// Share of the union two sets have in common (0..1)
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const describe = (game) => ({
+  categories: new Set(getGameCategoryIds(game)),
+  tags: new Set(normalizeTags(game.tags)),
+  words: getWords(game)
+});
+
+/**
+ * Score how similar a candidate is to the source game
+ * @returns {number} 0 when nothing is shared
+ */
+const scoreRelevance = (source, sourceFeatures, candidate, candidateFeatures) => {
+  let score = 0;
+
+  if (source.category && source.category === candidate.category) {
+    score += WEIGHTS.primaryCategory;
+  }
+  candidateFeatures.categories.forEach(id => {
+    if (sourceFeatures.categories.has(id)) {
+      score += WEIGHTS.sharedCategory;
+    }
+  });
+
+  score += WEIGHTS.tags * jaccard(sourceFeatures.tags, candidateFeatures.tags);
+  score += WEIGHTS.text * jaccard(sourceFeatures.words, candidateFeatures.words);
+
+  if (score > 0 && source.size && source.size === candidate.size) {
+    score += WEIGHTS.size;
+  }
+  return score;
+};
+
+/**
+ * Rank candidate games by similarity to a game ("more like this")
+ * Shared categories, tags, size and name/description words make a game relevant; playCount
+ * then boosts popular games. Games with nothing in common are left out.
+ * @param {Object} game - Game being viewed
+ * @param {Array} candidates - Games that may be recommended (already filtered to public, active games)
+ * @param {Object} options - { limit }
+ * @returns {Array} Games with a relatedScore, best match first
+ */
+export const findRelatedGames = (game, candidates, { limit = DEFAULT_RELATED_LIMIT } = {}) => {
+  const others = candidates.filter(candidate => candidate.id !== game.id);
+  const sourceFeatures = describe(game);
+  const maxPlays = Math.max(0, ...others.map(candidate => candidate.playCount || 0));
+
+  return others
+    .map(candidate => {
+      const relevance = scoreRelevance(game, sourceFeatures, candidate, describe(candidate));
+      const popularity = maxPlays > 0 ? Math.log1p(candidate.playCount || 0) / Math.log1p(maxPlays) : 0;
+      return { candidate, score: relevance * (1 + POPULARITY_BOOST * popularity) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.candidate.playCount || 0) - (a.candidate.playCount || 0) ||
+      String(a.candidate.id).localeCompare(String(b.candidate.id))
+    )
+    .slice(0, limit)
+    .map(({ candidate, score }) => ({ ...candidate, relatedScore: Math.round(score * 1000) / 1000 }));
+};
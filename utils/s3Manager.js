@@ -1,200 +1,223 @@
-import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
-import { Upload } from '@aws-sdk/lib-storage';
-import { Readable } from 'stream';
-
-// Initialize S3 Client (moved inside functions to ensure env vars are loaded)
-const getS3Client = () => {
-  return new S3Client({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-  });
-};
+import { getStorageDriver } from './storage/index.js';
+import { enqueueWrite, readJsonDocument, writeJsonDocument, mutateJsonDocument } from './storage/jsonDocuments.js';
+import { getCached } from './storage/readCache.js';
+import { recordGameDataSnapshot } from './gameHistory.js';
+import { migrateDocument, getSchemaVersion, getCurrentSchemaVersion, isSchemaTooNew } from './migrations/index.js';
+
+// Check if the active storage backend can be used (S3 needs credentials, local disk always works)
+const isStorageConfigured = () => getStorageDriver().isConfigured();
 
-const getBucketName = () => process.env.AWS_S3_BUCKET;
-
-// Check if AWS is properly configured
-const isAWSConfigured = () => {
-  const isConfigured = process.env.AWS_ACCESS_KEY_ID && 
-         process.env.AWS_SECRET_ACCESS_KEY && 
-         process.env.AWS_S3_BUCKET &&
-         process.env.AWS_ACCESS_KEY_ID !== 'dummy-key' &&
-         process.env.AWS_SECRET_ACCESS_KEY !== 'dummy-secret' &&
-         process.env.AWS_S3_BUCKET !== 'dummy-bucket' &&
-         process.env.AWS_S3_BUCKET !== 'your-existing-bucket';
+const GAME_DATA_KEY = 'public/game-data.json';
+const SITE_SETTINGS_KEY = 'public/site-settings.json';
+
+// Build the storage key for an uploaded file
+const buildFileKey = (file, folder, preserveOriginalName) => {
+  const ext = file.originalname.split('.').pop();
+  let fileName;
   
-  console.log('🔍 AWS Configuration Check:', {
-    hasAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
-    hasSecretKey: !!process.env.AWS_SECRET_ACCESS_KEY,
-    hasBucket: !!process.env.AWS_S3_BUCKET,
-    accessKeyStart: process.env.AWS_ACCESS_KEY_ID?.substring(0, 8),
-    bucketName: process.env.AWS_S3_BUCKET,
-    isConfigured
-  });
+  if (preserveOriginalName) {
+    // For ZIP files, preserve the original name (folder name)
+    fileName = file.originalname;
+  } else {
+    // For other files, add timestamp and random number
+    const timestamp = Date.now();
+    const random = Math.round(Math.random() * 1E9);
+    const baseName = file.originalname
+      .replace(/\.[^/.]+$/, '')
+      .replace(/[^a-z0-9]/gi, '_')
+      .toLowerCase();
+    
+    fileName = `${baseName}-${timestamp}-${random}.${ext}`;
+  }
   
-  return isConfigured;
+  return folder ? `public/${folder}/${fileName}` : `public/${fileName}`;
 };
 
-// Get game-data.json from S3
-export const getGameDataFromS3 = async () => {
-  // If AWS is not properly configured, return empty data
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, returning empty game data');
+// Normalize the stored game data: handle both formats, direct array or {games: []} object
+const normalizeGameData = (parsedData) => {
+  if (!parsedData) {
     return { games: [] };
   }
+  if (Array.isArray(parsedData)) {
+    return { games: parsedData };
+  }
+  if (parsedData.games && Array.isArray(parsedData.games)) {
+    return parsedData;
+  }
+  console.log('⚠️ Unknown data format in storage, returning empty games');
+  return { games: [] };
+};
 
+// Upgrade a stored document to the current schema in memory. A document from a newer server
+// is still served as it is (writes will refuse it), through the fallback normalization.
+const upgradeOnRead = (name, data, fallback) => {
   try {
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: 'public/game-data.json'
-    });
-    
-    const response = await s3Client.send(command);
-    const bodyContents = await streamToString(response.Body);
-    const parsedData = JSON.parse(bodyContents);
+    return migrateDocument(name, data).data;
+  } catch (error) {
+    if (isSchemaTooNew(error)) {
+      console.warn(`⚠️ ${error.message}`);
+      return fallback(data);
+    }
+    throw error;
+  }
+};
+
+// Upgrade what is about to be written (e.g. an older snapshot being restored) and stamp the current
+// version; throws a 409 for documents newer than this server
+const prepareForWrite = (name, data) => migrateDocument(name, data).data;
+
+// Refuse to replace a stored document written by a newer server
+const assertStoredSchemaWritable = (name, storedData) => {
+  if (storedData && getSchemaVersion(storedData) > getCurrentSchemaVersion(name)) {
+    migrateDocument(name, storedData);
+  }
+};
+
+/**
+ * Read game-data.json, throwing when it can't be read or parsed
+ * For callers that must not act on a failed read (asset deletion, published files);
+ * a missing document is still an empty catalog.
+ * @returns {Promise<Object>} Game data
+ */
+export const readGameData = async () => {
+  if (!isStorageConfigured()) {
+    return { games: [] };
+  }
+
+  // Served from the read cache; only a miss goes to storage
+  return getCached(GAME_DATA_KEY, async () => {
+    const { data } = await readJsonDocument(GAME_DATA_KEY);
+    const gameData = data ? upgradeOnRead('game-data', data, normalizeGameData) : normalizeGameData(data);
     
-    // Handle both formats: direct array or {games: []} object
-    if (Array.isArray(parsedData)) {
-      console.log(`📊 Found ${parsedData.length} games in S3 (array format)`);
-      return { games: parsedData };
-    } else if (parsedData.games && Array.isArray(parsedData.games)) {
-      console.log(`📊 Found ${parsedData.games.length} games in S3 (object format)`);
-      return parsedData;
-    } else {
-      console.log('⚠️ Unknown data format in S3, returning empty games');
-      return { games: [] };
+    if (data) {
+      console.log(`📊 Found ${gameData.games.length} games in storage (${Array.isArray(data) ? 'array' : 'object'} format)`);
     }
+    return gameData;
+  });
+};
+
+// Get game-data.json from storage
+export const getGameDataFromS3 = async () => {
+  // If storage is not properly configured, return empty data
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, returning empty game data');
+    return { games: [] };
+  }
+
+  try {
+    return await readGameData();
   } catch (error) {
-    if (error.name === 'NoSuchKey') {
-      // File doesn't exist, return empty structure
-      return { games: [] };
-    }
     console.error('S3 Error:', error.message);
     // Return empty data instead of throwing error
     return { games: [] };
   }
 };
 
-// Update game-data.json in S3
-export const updateGameDataInS3 = async (gameData) => {
-  // If AWS is not properly configured, just log and return
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, skipping S3 update');
+// Keep a history snapshot of a game data write; history problems never fail the write itself
+const snapshotGameData = async (previousData, gameData, context) => {
+  if (context.snapshot === false) {
+    return;
+  }
+  try {
+    await recordGameDataSnapshot(previousData && normalizeGameData(previousData), gameData, context);
+  } catch (error) {
+    console.error('⚠️ Failed to record game data snapshot:', error.message);
+  }
+};
+
+/**
+ * Replace game-data.json in storage (unconditional, but queued behind in-flight updates)
+ * @param {Object} gameData - The full catalog to write
+ * @param {Object} context - { author, reason } recorded with the history snapshot
+ */
+export const updateGameDataInS3 = async (gameData, context = {}) => {
+  // If storage is not properly configured, just log and return
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping game data update');
     return;
   }
 
   try {
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const command = new PutObjectCommand({
-      Bucket: bucketName,
-      Key: 'public/game-data.json',
-      Body: JSON.stringify(gameData, null, 2),
-      ContentType: 'application/json',
-      CacheControl: 'no-cache'
+    await enqueueWrite(GAME_DATA_KEY, async () => {
+      const { data: previousData } = await readJsonDocument(GAME_DATA_KEY);
+      assertStoredSchemaWritable('game-data', previousData);
+      const upgraded = prepareForWrite('game-data', gameData);
+      await writeJsonDocument(GAME_DATA_KEY, upgraded, {
+        cacheControl: 'no-cache'
+      });
+      await snapshotGameData(previousData, upgraded, context);
     });
-    
-    await s3Client.send(command);
   } catch (error) {
     console.error('S3 Update Error:', error.message);
+    if (error.status) {
+      throw error;
+    }
     throw new Error('Failed to update game data in S3');
   }
 };
 
-// Upload file to S3
+/**
+ * Apply a change to game-data.json without losing concurrent updates.
+ * The mutator receives the freshly read data and returns the new document (or edits it in place);
+ * it is re-run on newer data whenever the write loses a compare-and-swap race, so it must not
+ * have side effects beyond the data it is given. Errors thrown by the mutator abort the write.
+ * @param {Function} mutator - (gameData) => updatedGameData | undefined
+ * @param {Object} context - { author, reason } for the history snapshot; snapshot: false skips it
+ * @returns {Promise<Object>} The game data that was written
+ */
+export const mutateGameData = async (mutator, context = {}) => {
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping game data update');
+    const gameData = { games: [] };
+    return (await mutator(gameData)) ?? gameData;
+  }
+
+  return mutateJsonDocument(GAME_DATA_KEY, {
+    normalize: (data) => (data ? migrateDocument('game-data', data).data : normalizeGameData(data)),
+    mutator: async (gameData) => prepareForWrite('game-data', (await mutator(gameData)) ?? gameData),
+    writeOptions: { cacheControl: 'no-cache' },
+    label: 'game data',
+    afterWrite: context.snapshot === false
+      ? undefined
+      : (previousData, gameData) => snapshotGameData(previousData, gameData, context)
+  });
+};
+
+// Upload file to storage
 export const uploadFileToS3 = async (file, folder = '', preserveOriginalName = false) => {
-  // If AWS is not properly configured, return dummy data
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, returning dummy file data');
-    const ext = file.originalname.split('.').pop();
-    let fileName;
-    
-    if (preserveOriginalName) {
-      // For ZIP files, preserve the original name (folder name)
-      fileName = file.originalname;
-    } else {
-      // For other files, add timestamp and random number
-      const timestamp = Date.now();
-      const random = Math.round(Math.random() * 1E9);
-      const baseName = file.originalname
-        .replace(/\.[^/.]+$/, '')
-        .replace(/[^a-z0-9]/gi, '_')
-        .toLowerCase();
-      
-      fileName = `${baseName}-${timestamp}-${random}.${ext}`;
-    }
-    
-    const key = folder ? `public/${folder}/${fileName}` : `public/${fileName}`;
+  const key = buildFileKey(file, folder, preserveOriginalName);
+
+  // If storage is not properly configured, return dummy data
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, returning dummy file data');
     
-    // Even in dummy mode, return a CloudFront-like URL structure
-    const cloudFrontUrl = process.env.CLOUDFRONT_URL || 'https://d1xtpep1y73br3.cloudfront.net';
+    // Even in dummy mode, return a URL in the shape the configured store would produce
+    const baseUrl = getStorageDriver().getPublicBaseUrl();
     
     return {
       key,
-      url: `${cloudFrontUrl}/${key}`,
+      url: `${baseUrl}/${key}`,
       path: `/${key}`,
-      cloudFrontUrl: cloudFrontUrl,
+      cloudFrontUrl: process.env.CLOUDFRONT_URL || null,
       isDummy: true // Flag to indicate this is a dummy response
     };
   }
 
   try {
-    const ext = file.originalname.split('.').pop();
-    let fileName;
-    
-    if (preserveOriginalName) {
-      // For ZIP files, preserve the original name (folder name)
-      fileName = file.originalname;
-    } else {
-      // For other files, add timestamp and random number
-      const timestamp = Date.now();
-      const random = Math.round(Math.random() * 1E9);
-      const baseName = file.originalname
-        .replace(/\.[^/.]+$/, '')
-        .replace(/[^a-z0-9]/gi, '_')
-        .toLowerCase();
-      
-      fileName = `${baseName}-${timestamp}-${random}.${ext}`;
-    }
+    const driver = getStorageDriver();
     
-    const key = folder ? `public/${folder}/${fileName}` : `public/${fileName}`;
-    
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const upload = new Upload({
-      client: s3Client,
-      params: {
-        Bucket: bucketName,
-        Key: key,
-        Body: file.buffer,
-        ContentType: file.mimetype,
-        CacheControl: 'public, max-age=31536000'
-      }
+    await driver.putObject(key, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl: 'public, max-age=31536000'
     });
     
-    await upload.done();
-    
-    // Return CloudFront URL (prioritize CloudFront, fallback to S3 direct URL)
-    const cloudFrontUrl = process.env.CLOUDFRONT_URL;
-    const baseUrl = cloudFrontUrl || `https://${bucketName}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com`;
-    
-    // Log warning if CloudFront is not configured
-    if (!cloudFrontUrl) {
-      console.warn('⚠️ CLOUDFRONT_URL not configured - using direct S3 URL (slower)');
-    }
+    const baseUrl = driver.getPublicBaseUrl();
     
     return {
       key,
       url: `${baseUrl}/${key}`,
       path: `/${key}`,
-      cloudFrontUrl: cloudFrontUrl || null
+      cloudFrontUrl: process.env.CLOUDFRONT_URL || null
     };
   } catch (error) {
     console.error('S3 Upload Error:', error.message);
@@ -202,109 +225,147 @@ export const uploadFileToS3 = async (file, folder = '', preserveOriginalName = f
   }
 };
 
-// Delete file from S3
+// Public base URL that uploaded object keys are appended to
+export const getPublicBaseUrl = () => getStorageDriver().getPublicBaseUrl();
+
+// Upload a buffer to an exact key (used for extracted game builds)
+export const uploadBufferToS3 = async (key, body, contentType, cacheControl = 'public, max-age=31536000') => {
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping upload of', key);
+    return { key, path: `/${key}`, isDummy: true };
+  }
+
+  try {
+    await getStorageDriver().putObject(key, body, { contentType, cacheControl });
+    return { key, path: `/${key}` };
+  } catch (error) {
+    console.error('S3 Upload Error:', error.message);
+    throw new Error(`Failed to upload ${key} to S3`);
+  }
+};
+
+// Delete file from storage
 export const deleteFileFromS3 = async (key) => {
-  // If AWS is not properly configured, just log and return
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, skipping S3 delete');
+  // If storage is not properly configured, just log and return
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping delete');
     return;
   }
 
   try {
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const command = new DeleteObjectCommand({
-      Bucket: bucketName,
-      Key: key.startsWith('/') ? key.substring(1) : key
-    });
-    
-    await s3Client.send(command);
+    await getStorageDriver().deleteObject(key.startsWith('/') ? key.substring(1) : key);
   } catch (error) {
     console.error('S3 Delete Error:', error.message);
     throw new Error('Failed to delete file from S3');
   }
 };
 
-// Helper: Convert stream to string
-const streamToString = (stream) => {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (chunk) => chunks.push(chunk));
-    stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
-  });
+// List stored objects under a prefix: [{ key, size, lastModified }]
+export const listFilesInS3 = async (prefix = '') => {
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, nothing to list');
+    return [];
+  }
+
+  try {
+    return await getStorageDriver().listObjects(prefix);
+  } catch (error) {
+    console.error('S3 List Error:', error.message);
+    throw new Error('Failed to list files in S3');
+  }
 };
 
-// Get site settings from S3
-export const getSiteSettingsFromS3 = async () => {
-  // If AWS is not properly configured, return default settings
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, returning default site settings');
+// Read site-settings.json like readGameData: defaults when missing, but read errors are thrown
+export const readSiteSettings = async () => {
+  if (!isStorageConfigured()) {
     return getDefaultSiteSettings();
   }
 
-  try {
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: 'public/site-settings.json'
-    });
+  // Served from the read cache; only a miss goes to storage
+  return getCached(SITE_SETTINGS_KEY, async () => {
+    const { data: settings } = await readJsonDocument(SITE_SETTINGS_KEY);
     
-    const response = await s3Client.send(command);
-    const bodyContents = await streamToString(response.Body);
-    const settings = JSON.parse(bodyContents);
-    
-    console.log('📊 Site settings loaded from S3');
-    return settings;
-  } catch (error) {
-    if (error.name === 'NoSuchKey') {
+    if (!settings) {
       // File doesn't exist, return default settings
       console.log('⚠️ site-settings.json not found, returning defaults');
       return getDefaultSiteSettings();
     }
+    
+    console.log('📊 Site settings loaded from storage');
+    return upgradeOnRead('site-settings', settings, (data) => data);
+  });
+};
+
+// Get site settings from storage
+export const getSiteSettingsFromS3 = async () => {
+  // If storage is not properly configured, return default settings
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, returning default site settings');
+    return getDefaultSiteSettings();
+  }
+
+  try {
+    return await readSiteSettings();
+  } catch (error) {
     console.error('S3 Error:', error.message);
     // Return default settings instead of throwing error
     return getDefaultSiteSettings();
   }
 };
 
-// Update site settings in S3
+const siteSettingsWriteOptions = {
+  cacheControl: 'no-cache, no-store, must-revalidate', // Force fresh fetch
+  expires: new Date(0) // Expire immediately
+};
+
+// Replace site settings in storage (unconditional, but queued behind in-flight updates)
 export const updateSiteSettingsInS3 = async (settings) => {
-  // If AWS is not properly configured, just log and return
-  if (!isAWSConfigured()) {
-    console.log('AWS not configured, skipping S3 update for site settings');
+  // If storage is not properly configured, just log and return
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping site settings update');
     return;
   }
 
   try {
-    const s3Client = getS3Client();
-    const bucketName = getBucketName();
-    
-    const command = new PutObjectCommand({
-      Bucket: bucketName,
-      Key: 'public/site-settings.json',
-      Body: JSON.stringify(settings, null, 2),
-      ContentType: 'application/json',
-      CacheControl: 'no-cache, no-store, must-revalidate', // Force fresh fetch
-      Expires: new Date(0) // Expire immediately
+    await enqueueWrite(SITE_SETTINGS_KEY, async () => {
+      const { data: storedSettings } = await readJsonDocument(SITE_SETTINGS_KEY);
+      assertStoredSchemaWritable('site-settings', storedSettings);
+      await writeJsonDocument(SITE_SETTINGS_KEY, prepareForWrite('site-settings', settings), siteSettingsWriteOptions);
     });
-    
-    await s3Client.send(command);
-    console.log('✅ Site settings updated in S3 with no-cache headers');
+    console.log('✅ Site settings updated in storage with no-cache headers');
   } catch (error) {
     console.error('S3 Update Error:', error.message);
+    if (error.status) {
+      throw error;
+    }
     throw new Error('Failed to update site settings in S3');
   }
 };
 
+// Apply a change to site-settings.json with the same compare-and-swap rules as mutateGameData
+// options.afterWrite(previous, updated) runs once, after the write has succeeded
+export const mutateSiteSettings = async (mutator, { afterWrite } = {}) => {
+  if (!isStorageConfigured()) {
+    console.log('Storage not configured, skipping site settings update');
+    const settings = getDefaultSiteSettings();
+    return (await mutator(settings)) ?? settings;
+  }
+
+  return mutateJsonDocument(SITE_SETTINGS_KEY, {
+    normalize: (settings) => migrateDocument('site-settings', settings || getDefaultSiteSettings()).data,
+    mutator: async (settings) => prepareForWrite('site-settings', (await mutator(settings)) ?? settings),
+    writeOptions: siteSettingsWriteOptions,
+    label: 'site settings',
+    afterWrite
+  });
+};
+
 // Get default site settings
 const getDefaultSiteSettings = () => {
   return {
     siteTitle: 'GameLauncher - Bite-Sized Games Portal',
     siteDescription: 'Play amazing HTML5 games instantly. No downloads, no ads, just pure gaming fun!',
+    siteUrl: '',
     faviconUrl: '/public/vite.svg',
     splashLogoUrl: '/public/assets/Gamelauncher_logo.webp',
     footerText: '© 2024 GameLauncher. All rights reserved.',
@@ -338,8 +399,12 @@ const getDefaultSiteSettings = () => {
 export default {
   getGameDataFromS3,
   updateGameDataInS3,
+  mutateGameData,
   uploadFileToS3,
+  uploadBufferToS3,
   deleteFileFromS3,
+  listFilesInS3,
   getSiteSettingsFromS3,
-  updateSiteSettingsInS3
+  updateSiteSettingsInS3,
+  mutateSiteSettings
 };
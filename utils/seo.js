@@ -0,0 +1,363 @@
+import { createHttpError } from '../middleware/errorHandler.js';
+import { readGameData, readSiteSettings, uploadBufferToS3, getPublicBaseUrl } from './s3Manager.js';
+import { documentEvents } from './storage/jsonDocuments.js';
+import { getCategories, getGameCategoryIds } from './categories.js';
+import { filterLiveGames, getNextScheduleChange } from './gameSchedule.js';
+import { localizeGame } from './gameLocales.js';
+import { urlToStorageKey } from './assetReferences.js';
+
+// Sitemap, feeds and JSON-LD are built from the catalog on request, so they always match it.
+// With SEO_PUBLISH_TO_STORAGE=true they are also written next to game-data.json after every change.
+
+const FEED_SIZE = 50;
+
+// Files published to storage, by the name they are served under
+const SEO_FILES = {
+  'sitemap.xml': { contentType: 'application/xml; charset=utf-8', build: (context) => buildSitemap(context) },
+  'feed.rss': { contentType: 'application/rss+xml; charset=utf-8', build: (context) => buildRssFeed(context) },
+  'feed.atom': { contentType: 'application/atom+xml; charset=utf-8', build: (context) => buildAtomFeed(context) }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const trimSlash = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// Asset URLs may be "/public/thumbnail/x.png" or relative to public/ ("games/x/"); like the storage
+// drivers, the URL of a stored key is <public base URL>/<key>
+export const absoluteAssetUrl = (url) => {
+  if (!url) {
+    return undefined;
+  }
+  if (/^https?:\/\//i.test(url)) {
+    return url;
+  }
+  const key = urlToStorageKey(url);
+  return key ? `${trimSlash(getPublicBaseUrl())}/${key}${url.match(/[?#].*$/)?.[0] || ''}` : undefined;
+};
+
+/**
+ * Where the public site lives and how it links games and categories
+ * - siteUrl: site settings `siteUrl`, falling back to the SITE_URL env var
+ * - seo.gamePath / seo.categoryPath in site settings: page paths with ":slug" (default /game/:slug, /category/:slug)
+ * @param {Object} settings - Site settings
+ * @returns {Object} { siteUrl, siteTitle, siteDescription, gameUrl(game), categoryUrl(category), gameSlugFromUrl(url) }
+ */
+export const getSeoConfig = (settings = {}) => {
+  const siteUrl = trimSlash(settings.siteUrl || process.env.SITE_URL);
+  if (!siteUrl) {
+    throw createHttpError(503, 'Set siteUrl in site settings (or SITE_URL) to generate sitemaps and feeds');
+  }
+  if (!/^https?:\/\/[^/]+/i.test(siteUrl)) {
+    throw createHttpError(503, `siteUrl must be an absolute http(s) URL, got "${siteUrl}"`);
+  }
+
+  const gamePath = settings.seo?.gamePath || '/game/:slug';
+  const categoryPath = settings.seo?.categoryPath || '/category/:slug';
+  const pageUrl = (pattern, slug) => `${siteUrl}${pattern.replace(':slug', encodeURIComponent(slug))}`;
+
+  // The reverse of gameUrl: "https://site/game/my-game" -> "my-game" (any scheme, same host)
+  const site = new URL(siteUrl);
+  const gamePathPattern = new RegExp(`^${(site.pathname.replace(/\/$/, '') + gamePath)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(':slug', '([^/]+)')}/?$`);
+  const gameSlugFromUrl = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    const match = parsed.host === site.host && parsed.pathname.match(gamePathPattern);
+    if (!match) {
+      return null;
+    }
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      // "%zz" and the like: not a page we link to
+      return null;
+    }
+  };
+
+  return {
+    siteUrl,
+    siteTitle: settings.siteTitle || 'Games',
+    siteDescription: settings.siteDescription || '',
+    gameUrl: (game) => pageUrl(gamePath, game.slug || game.id),
+    categoryUrl: (category) => pageUrl(categoryPath, category.slug || category.id),
+    gameSlugFromUrl
+  };
+};
+
+// Only what the public site shows: live, active games
+export const getIndexableGames = (games = []) => filterLiveGames(games).filter(game => game.isActive !== false);
+
+const newestFirst = (games) => [...games].sort((a, b) =>
+  String(b.publishAt || b.createdAt || '').localeCompare(String(a.publishAt || a.createdAt || ''))
+);
+
+const lastModified = (game) => game.updatedAt || game.publishAt || game.createdAt;
+
+// Everything the builders need, read once. Read errors are thrown: an empty catalog
+// would otherwise be published over good files
+const loadSeoContext = async () => {
+  const [gameData, settings] = await Promise.all([readGameData(), readSiteSettings()]);
+  return {
+    config: getSeoConfig(settings),
+    games: getIndexableGames(gameData.games),
+    categories: getCategories(gameData).filter(category => category.isActive !== false)
+  };
+};
+
+/**
+ * sitemap.xml: home page, every live game and every active category that has one
+ * @param {Object} context - { config, games, categories }
+ * @returns {string} XML
+ */
+export const buildSitemap = ({ config, games, categories }) => {
+  const usedCategories = new Set(games.flatMap(getGameCategoryIds));
+  const urls = [
+    { loc: `${config.siteUrl}/` },
+    ...categories
+      .filter(category => usedCategories.has(category.id))
+      .map(category => ({ loc: config.categoryUrl(category), lastmod: category.updatedAt })),
+    ...games.map(game => ({ loc: config.gameUrl(game), lastmod: lastModified(game) }))
+  ];
+
+  const entries = urls.map(({ loc, lastmod }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${escapeXml(new Date(lastmod).toISOString())}</lastmod>`] : []),
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * RSS 2.0 feed of the newest games
+ * @param {Object} context - { config, games }
+ * @returns {string} XML
+ */
+export const buildRssFeed = ({ config, games }) => {
+  const items = newestFirst(games).slice(0, FEED_SIZE).map(game => [
+    '    <item>',
+    `      <title>${escapeXml(game.name)}</title>`,
+    `      <link>${escapeXml(config.gameUrl(game))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(game.id)}</guid>`,
+    `      <description>${escapeXml(game.description)}</description>`,
+    ...(game.publishAt || game.createdAt ? [`      <pubDate>${new Date(game.publishAt || game.createdAt).toUTCString()}</pubDate>`] : []),
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(config.siteTitle)}</title>`,
+    `    <link>${escapeXml(`${config.siteUrl}/`)}</link>`,
+    `    <atom:link href="${escapeXml(`${config.siteUrl}/feed.rss`)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(config.siteDescription)}</description>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Atom feed of the newest games
+ * @param {Object} context - { config, games }
+ * @returns {string} XML
+ */
+export const buildAtomFeed = ({ config, games }) => {
+  const newest = newestFirst(games).slice(0, FEED_SIZE);
+  const updated = newest.map(lastModified).filter(Boolean).sort().pop() || new Date().toISOString();
+
+  const entries = newest.map(game => [
+    '  <entry>',
+    `    <title>${escapeXml(game.name)}</title>`,
+    `    <link href="${escapeXml(config.gameUrl(game))}"/>`,
+    `    <id>${escapeXml(config.gameUrl(game))}</id>`,
+    `    <updated>${new Date(lastModified(game) || Date.now()).toISOString()}</updated>`,
+    ...(game.publishAt || game.createdAt ? [`    <published>${new Date(game.publishAt || game.createdAt).toISOString()}</published>`] : []),
+    `    <summary>${escapeXml(game.description)}</summary>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(config.siteTitle)}</title>`,
+    `  <link href="${escapeXml(`${config.siteUrl}/`)}"/>`,
+    `  <link rel="self" href="${escapeXml(`${config.siteUrl}/feed.atom`)}"/>`,
+    `  <id>${escapeXml(`${config.siteUrl}/`)}</id>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * schema.org VideoGame structured data for a game page
+ * @param {Object} game - Game
+ * @param {Object} config - getSeoConfig() result
+ * @param {Array} categories - Catalog categories (for genre names)
+ * @returns {Object} JSON-LD
+ */
+export const buildGameJsonLd = (game, config, categories = []) => {
+  const genres = getGameCategoryIds(game)
+    .map(id => categories.find(category => category.id === id)?.name || id);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'VideoGame',
+    name: game.name,
+    description: game.description,
+    url: config.gameUrl(game),
+    ...(game.thumb_url && { image: absoluteAssetUrl(game.thumb_url) }),
+    ...(genres.length > 0 && { genre: genres }),
+    ...(game.tags?.length > 0 && { keywords: game.tags.join(', ') }),
+    gamePlatform: 'Web browser',
+    applicationCategory: 'Game',
+    operatingSystem: 'Any',
+    ...((game.publishAt || game.createdAt) && { datePublished: game.publishAt || game.createdAt }),
+    ...(game.updatedAt && { dateModified: game.updatedAt }),
+    interactionStatistic: {
+      '@type': 'InteractionCounter',
+      interactionType: 'https://schema.org/PlayAction',
+      userInteractionCount: game.playCount || 0
+    }
+  };
+};
+
+/**
+ * Build one of the published files from the current catalog and settings
+ * @param {string} name - sitemap.xml, feed.rss or feed.atom
+ * @returns {Promise<Object>} { body, contentType }
+ */
+export const renderSeoFile = async (name) => {
+  const file = SEO_FILES[name];
+  return { body: file.build(await loadSeoContext()), contentType: file.contentType };
+};
+
+/**
+ * JSON-LD for one game (live, active games only)
+ * @param {string} gameId - Game id or slug
+ * @param {string} locale - Resolved locale for the name and description
+ * @returns {Promise<Object|null>} JSON-LD, or null when the game is not public
+ */
+export const getGameStructuredData = async (gameId, locale) => {
+  const { config, games, categories } = await loadSeoContext();
+  const game = games.find(g => g.id === gameId) || games.find(g => g.slug === gameId);
+  if (!game) {
+    return null;
+  }
+  return { ...buildGameJsonLd(localizeGame(game, locale), config, categories), inLanguage: locale };
+};
+
+// Last body written per file, so unchanged output (e.g. after a play count flush) isn't re-uploaded
+const published = new Map();
+
+// Write sitemap.xml, feed.rss and feed.atom to public/ in storage
+export const publishSeoFiles = async () => {
+  const context = await loadSeoContext();
+  const written = [];
+
+  for (const [name, file] of Object.entries(SEO_FILES)) {
+    const body = file.build(context);
+    // The feeds carry a build time; compare without it
+    const comparable = body.replace(/<lastBuildDate>.*<\/lastBuildDate>/, '');
+    if (published.get(name) === comparable) {
+      continue;
+    }
+    await uploadBufferToS3(`public/${name}`, Buffer.from(body), file.contentType, 'public, max-age=300');
+    published.set(name, comparable);
+    written.push(name);
+  }
+
+  if (written.length > 0) {
+    console.log(`🗺️ Published ${written.join(', ')}`);
+  }
+  return written;
+};
+
+const WATCHED_KEYS = ['public/game-data.json', 'public/site-settings.json'];
+const PUBLISH_DELAY_MS = 5000;
+// setTimeout overflows past ~24.8 days; longer waits are re-armed daily
+const MAX_SCHEDULE_WAIT_MS = 24 * 60 * 60 * 1000;
+let publishTimer = null;
+let scheduleTimer = null;
+let publishing = false;
+
+const publishAndReschedule = async () => {
+  try {
+    await publishSeoFiles();
+  } catch (error) {
+    console.error('❌ Failed to publish SEO files:', error.message);
+  }
+  await scheduleNextTransition().catch(error => console.error('❌ Failed to schedule SEO publishing:', error.message));
+};
+
+// Games enter and leave the files at publishAt/unpublishAt without any write, so publish again then
+const scheduleNextTransition = async () => {
+  const { games } = await readGameData();
+  const next = getNextScheduleChange(games);
+
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  if (!publishing || next === null) {
+    return;
+  }
+  // A second late, so the game's status has changed when the files are rebuilt
+  scheduleTimer = setTimeout(() => {
+    scheduleTimer = null;
+    publishAndReschedule();
+  }, Math.min(next - Date.now() + 1000, MAX_SCHEDULE_WAIT_MS));
+  scheduleTimer.unref();
+};
+
+const schedulePublish = (key) => {
+  if (!WATCHED_KEYS.includes(key) || publishTimer) {
+    return;
+  }
+  // Batch bursts of writes (bulk edits, imports) into one publish
+  publishTimer = setTimeout(() => {
+    publishTimer = null;
+    publishAndReschedule();
+  }, PUBLISH_DELAY_MS);
+  publishTimer.unref();
+};
+
+// Publish now, after every catalog or settings change and at every scheduled publishAt/unpublishAt
+// (SEO_PUBLISH_TO_STORAGE=true)
+export const startSeoPublishing = () => {
+  if (process.env.SEO_PUBLISH_TO_STORAGE !== 'true') {
+    return;
+  }
+  publishing = true;
+  documentEvents.on('write', schedulePublish);
+  publishAndReschedule();
+};
+
+export const stopSeoPublishing = () => {
+  publishing = false;
+  documentEvents.off('write', schedulePublish);
+  clearTimeout(publishTimer);
+  clearTimeout(scheduleTimer);
+  publishTimer = null;
+  scheduleTimer = null;
+};
@@ -0,0 +1,129 @@
+import { getStorageDriver } from './storage/index.js';
+import { readJsonDocument, writeJsonDocument, mutateJsonDocument } from './storage/jsonDocuments.js';
+import { mutateSiteSettings } from './s3Manager.js';
+
+// Draft and previous versions live outside public/ so the site never reads them
+const DRAFT_KEY = 'drafts/site-settings.json';
+const PREVIOUS_KEY = 'history/site-settings/previous.json';
+
+const isStorageConfigured = () => getStorageDriver().isConfigured();
+
+const notConfiguredError = () => {
+  const error = new Error('Storage is not configured, site settings drafts are unavailable');
+  error.status = 503;
+  return error;
+};
+
+/**
+ * Get the current draft
+ * @returns {Promise<Object|null>} { settings, updatedAt, updatedBy } or null when there is no draft
+ */
+export const getSiteSettingsDraft = async () => {
+  if (!isStorageConfigured()) {
+    return null;
+  }
+  const { data } = await readJsonDocument(DRAFT_KEY);
+  return data;
+};
+
+/**
+ * Save (replace) the draft
+ * @param {Object} settings - Full settings object
+ * @param {string} author - Editor saving the draft
+ * @returns {Promise<Object>} The saved draft
+ */
+export const saveSiteSettingsDraft = async (settings, author) => {
+  if (!isStorageConfigured()) {
+    throw notConfiguredError();
+  }
+
+  return mutateJsonDocument(DRAFT_KEY, {
+    normalize: (draft) => draft,
+    mutator: (draft) => ({
+      settings,
+      createdAt: draft?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: author
+    }),
+    label: 'site settings draft'
+  });
+};
+
+/**
+ * Discard the draft
+ * @returns {Promise<boolean>} Whether there was a draft to discard
+ */
+export const discardSiteSettingsDraft = async () => {
+  const draft = await getSiteSettingsDraft();
+  if (!draft) {
+    return false;
+  }
+  await getStorageDriver().deleteObject(DRAFT_KEY);
+  return true;
+};
+
+/**
+ * Get the previously published version (what a revert would restore)
+ * @returns {Promise<Object|null>} { settings, replacedAt, replacedBy } or null
+ */
+export const getPreviousSiteSettings = async () => {
+  if (!isStorageConfigured()) {
+    return null;
+  }
+  const { data } = await readJsonDocument(PREVIOUS_KEY);
+  return data;
+};
+
+/**
+ * Make settings live, keeping the version they replace for revert
+ * @param {Object} settings - Settings to publish
+ * @param {string} author - User publishing
+ * @returns {Promise<Object>} The published settings
+ */
+export const publishSiteSettings = async (settings, author) => {
+  const published = await mutateSiteSettings(() => settings, {
+    // Once the swap has succeeded; the mutator itself may be re-run and must stay side-effect free
+    afterWrite: async (replaced) => {
+      if (isStorageConfigured() && replaced) {
+        await writeJsonDocument(PREVIOUS_KEY, {
+          settings: replaced,
+          replacedAt: new Date().toISOString(),
+          replacedBy: author
+        });
+      }
+    }
+  });
+
+  console.log(`✅ Site settings published by ${author}`);
+  return published;
+};
+
+/**
+ * Publish the current draft and remove it
+ * @param {string} author - User publishing
+ * @returns {Promise<Object|null>} The published settings, or null when there is no draft
+ */
+export const publishSiteSettingsDraft = async (author) => {
+  const draft = await getSiteSettingsDraft();
+  if (!draft) {
+    return null;
+  }
+
+  const published = await publishSiteSettings(draft.settings, author);
+  await getStorageDriver().deleteObject(DRAFT_KEY);
+  return published;
+};
+
+/**
+ * Swap the live settings with the previously published version
+ * (reverting twice returns to where you started)
+ * @param {string} author - User reverting
+ * @returns {Promise<Object|null>} The restored settings, or null when there is nothing to revert to
+ */
+export const revertSiteSettings = async (author) => {
+  const previous = await getPreviousSiteSettings();
+  if (!previous) {
+    return null;
+  }
+  return publishSiteSettings(previous.settings, author);
+};
@@ -0,0 +1,37 @@
+import { createS3Driver, isAWSConfigured } from './s3Driver.js';
+import { createLocalDriver, getLocalStorageRoot, readLocalContentType } from './localDriver.js';
+
+const drivers = {
+  s3: createS3Driver,
+  local: createLocalDriver
+};
+
+let activeDriver = null;
+
+/**
+ * Get the storage driver selected by STORAGE_DRIVER.
+ * Without an explicit choice, S3 is used when it is configured and local disk otherwise.
+ */
+export const getStorageDriver = () => {
+  if (activeDriver) {
+    return activeDriver;
+  }
+
+  const requested = process.env.STORAGE_DRIVER?.trim().toLowerCase();
+  const driverName = requested || (isAWSConfigured() ? 's3' : 'local');
+
+  if (!drivers[driverName]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  activeDriver = drivers[driverName]();
+  console.log(`🗄️  Storage driver: ${activeDriver.name}`);
+  return activeDriver;
+};
+
+// Replace the active driver (used by scripts and tests that need an isolated store)
+export const setStorageDriver = (driver) => {
+  activeDriver = driver;
+};
+
+export { getLocalStorageRoot, readLocalContentType };
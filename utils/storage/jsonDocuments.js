@@ -0,0 +1,93 @@
+import { EventEmitter } from 'events';
+import { getStorageDriver } from './index.js';
+import { invalidateCached } from './readCache.js';
+
+// How many times a conditional write is retried after losing a race (read lazily, after dotenv)
+const getMaxWriteAttempts = () => parseInt(process.env.STORAGE_WRITE_ATTEMPTS) || 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Per-key promise chains so writes from this process never interleave
+const writeQueues = new Map();
+
+export const enqueueWrite = (key, task) => {
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+
+  writeQueues.set(key, settled);
+  settled.then(() => {
+    if (writeQueues.get(key) === settled) {
+      writeQueues.delete(key);
+    }
+  });
+
+  return run;
+};
+
+// Read and parse a JSON document with its ETag; a missing document yields null data
+export const readJsonDocument = async (key) => {
+  try {
+    const { body, etag } = await getStorageDriver().getObject(key);
+    return { data: JSON.parse(body.toString('utf-8')), etag };
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      return { data: null, etag: null };
+    }
+    throw error;
+  }
+};
+
+// Emits 'write' (key) after every successful JSON document write, for output derived from the documents
+export const documentEvents = new EventEmitter();
+
+export const writeJsonDocument = async (key, data, options = {}) => {
+  const result = await getStorageDriver().putObject(key, JSON.stringify(data, null, 2), {
+    contentType: 'application/json',
+    ...options
+  });
+  invalidateCached(key);
+  documentEvents.emit('write', key);
+  return result;
+};
+
+/**
+ * Queued read-modify-write guarded by the document's ETag, re-applying the mutator after a conflict.
+ * afterWrite(previous, updated) runs inside the queue once the write has succeeded.
+ */
+export const mutateJsonDocument = (key, { normalize, mutator, writeOptions, label, afterWrite }) => enqueueWrite(key, async () => {
+  const maxAttempts = getMaxWriteAttempts();
+
+  for (let attempt = 1; ; attempt++) {
+    const { data, etag } = await readJsonDocument(key);
+    const current = normalize(data);
+    const previous = afterWrite ? structuredClone(current) : null;
+    const updated = (await mutator(current)) ?? current;
+
+    try {
+      await writeJsonDocument(key, updated, {
+        ...writeOptions,
+        ...(etag ? { ifMatch: etag } : { ifNoneMatch: '*' })
+      });
+    } catch (error) {
+      if (error.name !== 'PreconditionFailed') {
+        console.error('S3 Update Error:', error.message);
+        throw new Error(`Failed to update ${label} in S3`);
+      }
+      if (attempt >= maxAttempts) {
+        const conflict = new Error(`The ${label} kept changing during the update, please retry`);
+        conflict.status = 409;
+        throw conflict;
+      }
+
+      console.warn(`⚠️ ${key} changed during update, retrying (${attempt}/${maxAttempts})`);
+      await sleep(Math.round(Math.random() * 50 * attempt));
+      continue;
+    }
+
+    if (afterWrite) {
+      await afterWrite(data ? previous : null, updated);
+    }
+    return updated;
+  }
+});
@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Root directory that mirrors the bucket layout (public/game-data.json, public/thumbnail/..., etc.)
+export const getLocalStorageRoot = () => {
+  return path.resolve(__dirname, '../..', process.env.LOCAL_STORAGE_DIR || 'storage');
+};
+
+// Resolve a bucket key to a path inside the storage root, refusing anything that escapes it
+const resolveKey = (key) => {
+  const root = getLocalStorageRoot();
+  const filePath = path.resolve(root, key.replace(/^\/+/, ''));
+
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+// Content type of an object, kept next to it as a hidden file (express.static skips dotfiles)
+const metadataPath = (filePath) => path.join(path.dirname(filePath), `.${path.basename(filePath)}.meta.json`);
+
+const isMetadataFile = (name) => name.startsWith('.') && name.endsWith('.meta.json');
+
+/**
+ * Content type an object was stored with, for serving it like S3 would
+ * @param {string} key - Bucket key
+ * @returns {Promise<string|null>} Content type, or null when none was given
+ */
+export const readLocalContentType = async (key) => {
+  try {
+    const { contentType } = JSON.parse(await fs.readFile(metadataPath(resolveKey(key)), 'utf-8'));
+    return contentType || null;
+  } catch {
+    return null;
+  }
+};
+
+// S3-style ETag (quoted MD5 of the content)
+const computeETag = (body) => `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+const readCurrentETag = async (filePath) => {
+  try {
+    return computeETag(await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Storage driver that keeps objects on local disk (development and tests)
+ */
+export const createLocalDriver = () => ({
+  name: 'local',
+
+  isConfigured: () => true,
+
+  async getObject(key) {
+    try {
+      const body = await fs.readFile(resolveKey(key));
+      return { body, contentType: await readLocalContentType(key), etag: computeETag(body) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Mirror the S3 SDK so callers can handle a missing key the same way
+        const notFound = new Error(`The specified key does not exist: ${key}`);
+        notFound.name = 'NoSuchKey';
+        throw notFound;
+      }
+      throw error;
+    }
+  },
+
+  // ifMatch / ifNoneMatch behave like the S3 conditional headers (this process is the only writer)
+  // contentType is kept for serving; cacheControl and expires are ignored
+  async putObject(key, body, { contentType, ifMatch, ifNoneMatch } = {}) {
+    const filePath = resolveKey(key);
+
+    if (ifMatch || ifNoneMatch) {
+      const currentETag = await readCurrentETag(filePath);
+      const matches = ifMatch ? currentETag === ifMatch : currentETag === null;
+
+      if (!matches) {
+        const conflict = new Error(`Object ${key} was modified concurrently`);
+        conflict.name = 'PreconditionFailed';
+        throw conflict;
+      }
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so readers never see a half-written document
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filePath);
+
+    if (contentType) {
+      await fs.writeFile(metadataPath(filePath), JSON.stringify({ contentType }));
+    } else {
+      await fs.rm(metadataPath(filePath), { force: true });
+    }
+    return { etag: computeETag(body) };
+  },
+
+  async deleteObject(key) {
+    const filePath = resolveKey(key);
+    await fs.rm(filePath, { force: true });
+    await fs.rm(metadataPath(filePath), { force: true });
+  },
+
+  // Every object under a prefix as [{ key, size, lastModified }], like S3 ListObjectsV2
+  async listObjects(prefix = '') {
+    const root = getLocalStorageRoot();
+    const objects = [];
+
+    // Start from the directory part of the prefix instead of walking the whole store
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const key = path.relative(root, fullPath).split(path.sep).join('/');
+
+        if (entry.isDirectory()) {
+          if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile() && key.startsWith(prefix) && !entry.name.endsWith('.tmp') && !isMetadataFile(entry.name)) {
+          const stats = await fs.stat(fullPath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await walk(resolveKey(prefix.slice(0, prefix.lastIndexOf('/') + 1)));
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  },
+
+  // Objects are served by the static route mounted in server.js
+  getPublicBaseUrl() {
+    return process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  }
+});
+
+export default createLocalDriver;
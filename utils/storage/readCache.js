@@ -0,0 +1,83 @@
+// In-process TTL cache for JSON documents read from storage.
+// Concurrent misses for the same key share one fetch, and writes through
+// jsonDocuments.js invalidate the key so this process never serves its own stale data.
+
+const entries = new Map();
+const inflight = new Map();
+const generations = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  deduplicated: 0,
+  invalidations: 0
+};
+
+// Cache lifetime (read lazily, after dotenv); 0 disables caching
+const getTtlMs = () => {
+  const ttl = parseInt(process.env.READ_CACHE_TTL_MS);
+  return Number.isNaN(ttl) ? 10 * 1000 : ttl;
+};
+
+/**
+ * Get a cached value, loading it on a miss. Callers get their own copy and may mutate it.
+ * @param {string} key - Storage key
+ * @param {Function} loader - async () => value; rejections are not cached
+ * @returns {Promise<*>} The cached or freshly loaded value
+ */
+export const getCached = async (key, loader) => {
+  const ttlMs = getTtlMs();
+  if (ttlMs <= 0) {
+    stats.misses++;
+    return loader();
+  }
+
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    return structuredClone(entry.value);
+  }
+
+  if (inflight.has(key)) {
+    stats.deduplicated++;
+    return structuredClone(await inflight.get(key));
+  }
+
+  stats.misses++;
+  const generation = generations.get(key) || 0;
+  const fetch = loader()
+    .then(value => {
+      // A write landed while we were fetching; don't cache what may be the old version
+      if ((generations.get(key) || 0) === generation) {
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      }
+      return value;
+    })
+    .finally(() => {
+      if (inflight.get(key) === fetch) {
+        inflight.delete(key);
+      }
+    });
+
+  inflight.set(key, fetch);
+  return structuredClone(await fetch);
+};
+
+// Drop a key after it has been written
+export const invalidateCached = (key) => {
+  generations.set(key, (generations.get(key) || 0) + 1);
+  entries.delete(key);
+  inflight.delete(key);
+  stats.invalidations++;
+};
+
+// Hit/miss counters for health and monitoring
+export const getReadCacheStats = () => {
+  const lookups = stats.hits + stats.misses + stats.deduplicated;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round(((stats.hits + stats.deduplicated) / lookups) * 1000) / 1000 : 0,
+    cachedKeys: entries.size,
+    ttlMs: getTtlMs()
+  };
+};
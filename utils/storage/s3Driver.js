@@ -0,0 +1,199 @@
+import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+// Bodies above this size go through a multipart upload
+const MULTIPART_THRESHOLD = 5 * 1024 * 1024;
+
+const getRegion = () => process.env.AWS_REGION || 'us-east-1';
+
+// Custom endpoint for S3-compatible stores (MinIO, LocalStack, ...), without a trailing slash
+const getEndpoint = () => process.env.AWS_S3_ENDPOINT?.trim().replace(/\/+$/, '') || null;
+
+// Path-style addressing (endpoint/bucket/key) is what most self-hosted stores expect
+const usePathStyle = () => process.env.AWS_S3_FORCE_PATH_STYLE === 'true';
+
+// Initialize S3 Client (created per call to ensure env vars are loaded)
+export const getS3Client = () => {
+  const endpoint = getEndpoint();
+
+  return new S3Client({
+    region: getRegion(),
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    },
+    ...(endpoint && { endpoint }),
+    forcePathStyle: usePathStyle()
+  });
+};
+
+const getBucketName = () => process.env.AWS_S3_BUCKET;
+
+/**
+ * Base URL that public object links are built on, in order of preference:
+ * AWS_S3_PUBLIC_URL, CLOUDFRONT_URL, the custom endpoint, then the regional amazonaws.com host
+ * @returns {string} Base URL without a trailing slash
+ */
+export const getS3PublicBaseUrl = () => {
+  const publicUrl = process.env.AWS_S3_PUBLIC_URL?.trim().replace(/\/+$/, '');
+  if (publicUrl) {
+    return publicUrl;
+  }
+
+  const cloudFrontUrl = process.env.CLOUDFRONT_URL?.trim().replace(/\/+$/, '');
+  if (cloudFrontUrl) {
+    return cloudFrontUrl;
+  }
+
+  const bucketName = getBucketName();
+  const endpoint = getEndpoint();
+
+  if (endpoint) {
+    if (usePathStyle()) {
+      return `${endpoint}/${bucketName}`;
+    }
+    const { protocol, host } = new URL(endpoint);
+    return `${protocol}//${bucketName}.${host}`;
+  }
+
+  return usePathStyle()
+    ? `https://s3.${getRegion()}.amazonaws.com/${bucketName}`
+    : `https://${bucketName}.s3.${getRegion()}.amazonaws.com`;
+};
+
+let lastLoggedConfiguration = null;
+
+// Check if AWS is properly configured (details are logged once, and again only if they change)
+export const isAWSConfigured = () => {
+  const isConfigured = !!(process.env.AWS_ACCESS_KEY_ID && 
+         process.env.AWS_SECRET_ACCESS_KEY && 
+         process.env.AWS_S3_BUCKET &&
+         process.env.AWS_ACCESS_KEY_ID !== 'dummy-key' &&
+         process.env.AWS_SECRET_ACCESS_KEY !== 'dummy-secret' &&
+         process.env.AWS_S3_BUCKET !== 'dummy-bucket' &&
+         process.env.AWS_S3_BUCKET !== 'your-existing-bucket');
+  
+  const configuration = {
+    hasAccessKey: !!process.env.AWS_ACCESS_KEY_ID,
+    hasSecretKey: !!process.env.AWS_SECRET_ACCESS_KEY,
+    hasBucket: !!process.env.AWS_S3_BUCKET,
+    accessKeyStart: process.env.AWS_ACCESS_KEY_ID?.substring(0, 8),
+    bucketName: process.env.AWS_S3_BUCKET,
+    endpoint: getEndpoint() || 'aws',
+    isConfigured
+  };
+  
+  if (JSON.stringify(configuration) !== lastLoggedConfiguration) {
+    lastLoggedConfiguration = JSON.stringify(configuration);
+    console.log('🔍 AWS Configuration Check:', configuration);
+  }
+  
+  return isConfigured;
+};
+
+// Helper: Convert stream to buffer
+const streamToBuffer = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+/**
+ * Storage driver backed by an S3 bucket (production default)
+ */
+export const createS3Driver = () => {
+  // Public links would go straight to the amazonaws.com host; said once here, not on every link
+  if (!process.env.AWS_S3_PUBLIC_URL?.trim() && !process.env.CLOUDFRONT_URL?.trim() && !getEndpoint()) {
+    console.warn('⚠️ CLOUDFRONT_URL not configured - using direct S3 URL (slower)');
+  }
+
+  return {
+    name: 's3',
+
+    isConfigured: isAWSConfigured,
+
+    async getObject(key) {
+      const response = await getS3Client().send(new GetObjectCommand({
+        Bucket: getBucketName(),
+        Key: key
+      }));
+
+      return {
+        body: await streamToBuffer(response.Body),
+        contentType: response.ContentType,
+        etag: response.ETag
+      };
+    },
+
+    // ifMatch / ifNoneMatch turn the write into a compare-and-swap against the current ETag
+    async putObject(key, body, { contentType, cacheControl, expires, ifMatch, ifNoneMatch } = {}) {
+      const params = {
+        Bucket: getBucketName(),
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+        ...(expires && { Expires: expires })
+      };
+      const isConditional = !!(ifMatch || ifNoneMatch);
+
+      if (!isConditional && Buffer.isBuffer(body) && body.length > MULTIPART_THRESHOLD) {
+        const result = await new Upload({ client: getS3Client(), params }).done();
+        return { etag: result.ETag };
+      }
+
+      try {
+        const response = await getS3Client().send(new PutObjectCommand({
+          ...params,
+          ...(ifMatch && { IfMatch: ifMatch }),
+          ...(ifNoneMatch && { IfNoneMatch: ifNoneMatch })
+        }));
+        return { etag: response.ETag };
+      } catch (error) {
+        // 412 = ETag no longer matches, 409 = another conditional write to the key is in flight
+        const status = error.$metadata?.httpStatusCode;
+        if (isConditional && (status === 412 || status === 409)) {
+          const conflict = new Error(`Object ${key} was modified concurrently`);
+          conflict.name = 'PreconditionFailed';
+          throw conflict;
+        }
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await getS3Client().send(new DeleteObjectCommand({
+        Bucket: getBucketName(),
+        Key: key
+      }));
+    },
+
+    // Every object under a prefix as [{ key, size, lastModified }] (follows pagination)
+    async listObjects(prefix = '') {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const response = await getS3Client().send(new ListObjectsV2Command({
+          Bucket: getBucketName(),
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+
+        (response.Contents || []).forEach(object => {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        });
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    getPublicBaseUrl: getS3PublicBaseUrl
+  };
+};
+
+export default createS3Driver;